@@ -0,0 +1,118 @@
+// Example .NET client for the Electron token broker
+// Add this to Backend1/Backend2 to call upstream APIs on the signed-in user's behalf.
+// The Electron main process passes AUTH_BROKER_URL and AUTH_BROKER_SECRET in the
+// environment; the broker pushes rotated tokens and logouts over /events.
+// DPoP-bound tokens (token_type "DPoP") need a proof per request from /proof.
+
+using System;
+using System.IO;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Net.Http.Json;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Hosting;
+
+namespace Backend1.Auth
+{
+    public class UserToken
+    {
+        public string account_id { get; set; }
+        public string access_token { get; set; }
+        public string token_type { get; set; }
+        public long? expires_at { get; set; }
+        public string scope { get; set; }
+    }
+
+    public class DPoPProof
+    {
+        public string account_id { get; set; }
+        public string access_token { get; set; }
+        public string dpop { get; set; }
+    }
+
+    // Register with: services.AddSingleton<UserTokenCache>();
+    //                services.AddHostedService(sp => sp.GetRequiredService<UserTokenCache>());
+    public class UserTokenCache : BackgroundService
+    {
+        private readonly HttpClient _http = new HttpClient { Timeout = Timeout.InfiniteTimeSpan };
+        private volatile UserToken _current;
+
+        public UserTokenCache()
+        {
+            var url = Environment.GetEnvironmentVariable("AUTH_BROKER_URL");
+            var secret = Environment.GetEnvironmentVariable("AUTH_BROKER_SECRET");
+            if (url != null)
+            {
+                _http.BaseAddress = new Uri(url);
+                _http.DefaultRequestHeaders.Authorization = new AuthenticationHeaderValue("Bearer", secret);
+            }
+        }
+
+        // Null while nobody is signed in; never log or persist the value
+        public UserToken Current => _current;
+
+        // Set the credentials of one upstream request, with a fresh proof for DPoP-bound tokens
+        // Pass the DPoP-Nonce header of a use_dpop_nonce response as nonce when retrying
+        public async Task<bool> AuthorizeAsync(HttpRequestMessage request, string nonce = null, CancellationToken cancellationToken = default)
+        {
+            var token = _current;
+            if (token == null) return false;
+
+            if (token.token_type != "DPoP")
+            {
+                request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", token.access_token);
+                return true;
+            }
+
+            var htu = request.RequestUri.GetLeftPart(UriPartial.Path);
+            using var response = await _http.PostAsJsonAsync("/proof", new { htm = request.Method.Method, htu, nonce }, cancellationToken);
+            if (!response.IsSuccessStatusCode) return false;
+
+            // The proof is bound to the token returned with it, so send that one
+            var proof = await response.Content.ReadFromJsonAsync<DPoPProof>(cancellationToken: cancellationToken);
+            request.Headers.Authorization = new AuthenticationHeaderValue("DPoP", proof.access_token);
+            request.Headers.Add("DPoP", proof.dpop);
+            return true;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            if (_http.BaseAddress == null) return; // not started by the Electron app
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    using var response = await _http.GetAsync("/events", HttpCompletionOption.ResponseHeadersRead, stoppingToken);
+                    response.EnsureSuccessStatusCode();
+                    using var reader = new StreamReader(await response.Content.ReadAsStreamAsync(stoppingToken));
+
+                    string eventName = null;
+                    string line;
+                    while ((line = await reader.ReadLineAsync()) != null)
+                    {
+                        if (line.StartsWith("event: ")) eventName = line.Substring(7);
+                        else if (line.StartsWith("data: ") && eventName == "token")
+                            _current = JsonSerializer.Deserialize<UserToken>(line.Substring(6));
+                        else if (line.StartsWith("data: ") && eventName == "logout")
+                            _current = null; // drop cached credentials
+                    }
+                }
+                catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+                {
+                    return;
+                }
+                catch (Exception ex)
+                {
+                    Console.WriteLine($"Token broker connection lost: {ex.Message}");
+                }
+
+                // Don't use a token we can no longer hear about
+                _current = null;
+                await Task.Delay(TimeSpan.FromSeconds(2), stoppingToken);
+            }
+        }
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Authenticated HTTP requests on behalf of renderer windows
+ * Runs in the main process and attaches the account's bearer token itself, so the
+ * raw token never reaches a renderer. Requests are limited to the configured API
+ * origins; a 401 triggers one token refresh and a single retry.
+ */
+class ApiClient {
+  constructor(tokenManager, options = {}) {
+    this.tokenManager = tokenManager;
+    this.baseUrl = options.baseUrl || null;
+    this.allowedOrigins = new Set(options.allowedOrigins || []);
+    if (this.baseUrl) {
+      this.allowedOrigins.add(new URL(this.baseUrl).origin);
+    }
+    this.timeout = options.timeout || 30 * 1000;
+  }
+
+  /**
+   * Send a request with the account's access token
+   * @param {Object} request - { url, method, headers, body }; url may be relative to the base URL
+   * @param {string} [accountId] - Account whose token to use, defaults to the active account
+   * @returns {Promise<Object>} - { ok, status, statusText, headers, body } or { ok: false, status: 0, error }
+   */
+  async request(request, accountId = this.tokenManager.getActiveAccountId()) {
+    let url;
+    try {
+      url = this.resolveUrl(request.url);
+    } catch (error) {
+      return { ok: false, status: 0, error: error.message };
+    }
+
+    // Requests made while the account's tokens are being refreshed wait for the new ones
+    await this.tokenManager.waitForRefresh(accountId);
+
+    const accessToken = await this.tokenManager.getValidAccessToken(accountId);
+    if (!accessToken && this.tokenManager.getOfflineState(accountId)) {
+      return { ok: false, status: 0, error: 'Offline - the session could not be renewed' };
+    }
+    if (!accessToken) {
+      return { ok: false, status: 401, statusText: 'Unauthorized', headers: {}, body: null, error: 'Not signed in' };
+    }
+
+    try {
+      let response = await this.send(url, request, accessToken, accountId);
+
+      if (response.status === 401) {
+        const renewedToken = await this.renewAccessToken(accountId, accessToken);
+        if (renewedToken) {
+          console.log('API request was rejected with 401, retrying with refreshed token');
+          response = await this.send(url, request, renewedToken, accountId);
+        }
+      }
+
+      return await this.toResult(response);
+    } catch (error) {
+      console.error('API request failed:', error.message);
+      return { ok: false, status: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Get a newer access token after the API rejected one
+   * Concurrent 401s share a single refresh; if another request already refreshed,
+   * its token is used as is.
+   * @private
+   */
+  async renewAccessToken(accountId, rejectedToken) {
+    try {
+      await this.tokenManager.waitForRefresh(accountId);
+
+      const tokens = await this.tokenManager.getTokens(accountId);
+      if (!tokens) {
+        return null;
+      }
+      if (tokens.access_token !== rejectedToken) {
+        return tokens.access_token;
+      }
+      if (!tokens.refresh_token) {
+        return null;
+      }
+
+      // A rejected request is no reason to sign out; the refresh scheduler reports expiry
+      const refreshedTokens = await this.tokenManager.refreshTokens(tokens.refresh_token, accountId, { clearOnFailure: false });
+      return refreshedTokens.access_token;
+    } catch (error) {
+      console.warn('Token refresh after 401 failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a request URL and check that the token may be sent there
+   * @private
+   */
+  resolveUrl(requestUrl) {
+    if (typeof requestUrl !== 'string' || !requestUrl) {
+      throw new Error('Request URL is required');
+    }
+
+    const url = this.baseUrl ? new URL(requestUrl, this.baseUrl) : new URL(requestUrl);
+    if (!this.allowedOrigins.has(url.origin)) {
+      throw new Error(`Requests to ${url.origin} are not allowed`);
+    }
+    return url;
+  }
+
+  /**
+   * Send with the token as the account's provider issued it (bearer or DPoP-bound)
+   * @private
+   */
+  async send(url, request, accessToken, accountId) {
+    const headers = {};
+    for (const [name, value] of Object.entries(request.headers || {})) {
+      // The token and its proof are ours to set
+      if (!['authorization', 'dpop'].includes(name.toLowerCase())) {
+        headers[name] = String(value);
+      }
+    }
+
+    let body = request.body;
+    if (body !== undefined && body !== null && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    const tokens = await this.tokenManager.getTokens(accountId);
+    return this.tokenManager.getOAuthClient(tokens).fetchResource(url, {
+      method: (request.method || 'GET').toUpperCase(),
+      headers,
+      body: body === null ? undefined : body,
+      signal: AbortSignal.timeout(this.timeout)
+    }, accessToken, tokens ? tokens.token_type : 'Bearer');
+  }
+
+  /**
+   * Turn a response into plain data that can cross IPC
+   * @private
+   */
+  async toResult(response) {
+    const contentType = response.headers.get('content-type') || '';
+    const text = await response.text();
+
+    let body = text;
+    if (text && contentType.includes('json')) {
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        // Leave malformed JSON as text
+      }
+    }
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      body
+    };
+  }
+}
+
+module.exports = ApiClient;
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// prev of the very first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Detail fields that could carry credentials are never written
+const SECRET_FIELD = /token|secret|password|verifier|assertion|^code$/i;
+// Compact JWTs that slipped into a message (e.g. an error echoing a request)
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+
+/**
+ * Append-only, hash-chained audit trail of authentication events (JSONL)
+ * Each entry carries a sequence number, the hash of the entry before it (prev) and
+ * an HMAC-SHA256 of itself (hash) keyed with a secret kept outside the log, so an
+ * edited, inserted, removed or rewritten line breaks the chain from there on.
+ * The head (the newest entry's hash and sequence number, and the final entry of
+ * every rotated file) is stored in its own file outside the log, which exposes a
+ * truncated log and deleted files. Without the key (no OS keyring) entries are still
+ * written, marked unkeyed and sealed with plain SHA-256, and getStatus() reports
+ * it; so are entries written before the log was keyed, which may only start the
+ * chain. Instances share the log and take turns appending under a lock file.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.baseName = options.baseName || 'auth-audit';
+    this.maxBytes = options.maxBytes || 1024 * 1024; // rotate the current file at this size
+    this.maxFiles = options.maxFiles || 5; // rotated files kept besides the current one
+    this.lock = options.lock || null; // RefreshLock shared with the other instances
+    this.keyFile = options.keyFile; // ProtectedFile holding the HMAC key
+    this.headFile = options.headFile; // JSON file outside the log directory
+    this.key = null;
+    this.keyError = null; // why the key is unavailable
+    this.status = { keyed: null, error: null }; // as of the last write
+    this.instance = {
+      id: crypto.randomUUID(),
+      pid: process.pid,
+      host: os.hostname()
+    };
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Path of the current file
+   */
+  get file() {
+    return path.join(this.directory, `${this.baseName}.jsonl`);
+  }
+
+  /**
+   * Path of a rotated file (1 is the newest)
+   * @private
+   */
+  getRotatedFile(number) {
+    return path.join(this.directory, `${this.baseName}.${number}.jsonl`);
+  }
+
+  /**
+   * All log files, oldest first
+   * @returns {string[]}
+   */
+  listFiles() {
+    const files = [];
+    for (let number = this.maxFiles; number >= 1; number--) {
+      files.push(this.getRotatedFile(number));
+    }
+    files.push(this.file);
+    return files.filter(file => fs.existsSync(file));
+  }
+
+  /**
+   * Append an event
+   * Entries are written in the order they were recorded.
+   * @param {string} event - Event name, e.g. login-started
+   * @param {Object} details - Event fields (account, provider, outcome...); never token values
+   * @returns {Promise<Object>} - The written entry
+   */
+  record(event, details = {}) {
+    const entry = {
+      time: new Date().toISOString(),
+      event,
+      instance: this.instance,
+      ...AuditLog.sanitize(details)
+    };
+
+    const write = this.writeQueue.then(() => this.append(entry));
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * @private
+   */
+  async append(entry) {
+    const release = this.lock ? await this.lock.acquire('audit-log') : null;
+
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      const key = this.getKey();
+
+      // A head that can't be trusted is left for verify() to report; the event is still written
+      let head = null;
+      let headError = null;
+      try {
+        head = await this.readHead(key);
+      } catch (error) {
+        headError = error;
+      }
+
+      // Another instance may have appended since our last write, so always chain to the file
+      const last = await this.readLastEntry();
+      const body = { ...entry, seq: last.seq + 1, prev: last.hash };
+      const sealed = key ? AuditLog.seal(body, key) : AuditLog.seal({ ...body, unkeyed: true });
+      const line = `${JSON.stringify(sealed)}\n`;
+
+      // The rotated file's final entry goes into the head, so its loss is noticed
+      const rotated = head ? head.rotated : [];
+      if (await this.rotateIfNeeded(Buffer.byteLength(line))) {
+        rotated.unshift({ hash: last.hash, seq: last.seq });
+        rotated.splice(this.maxFiles + 1);
+      }
+
+      await fs.promises.appendFile(this.file, line, { mode: 0o600 });
+      if (!headError) {
+        await this.writeHead({ hash: sealed.hash, seq: sealed.seq, rotated }, key);
+      }
+
+      this.updateStatus(Boolean(key), headError ? headError.message : this.keyError);
+      return sealed;
+    } catch (error) {
+      throw new Error(`Audit log write failed: ${error.message}`);
+    } finally {
+      if (release) {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Whether entries are keyed, and what went wrong if not (or with the head)
+   * @returns {Object} - { keyed, error } - keyed is null before the first write
+   */
+  getStatus() {
+    return { keyed: this.status.keyed, error: this.status.error };
+  }
+
+  /**
+   * @private
+   */
+  updateStatus(keyed, error) {
+    const changed = this.status.keyed !== keyed || this.status.error !== error;
+    this.status = { keyed, error };
+    if (changed && (!keyed || error)) {
+      console.warn(`Audit log is degraded${keyed ? '' : ', writing unkeyed entries'}:`, error);
+    }
+  }
+
+  /**
+   * HMAC key, created on the first write
+   * @private
+   * @returns {Buffer|null} - null if it can't be read or created (e.g. no OS keyring)
+   */
+  getKey() {
+    if (!this.key) {
+      try {
+        this.key = Buffer.from(this.keyFile.readOrCreate(() => crypto.randomBytes(32).toString('hex')), 'hex');
+        this.keyError = null;
+      } catch (error) {
+        this.keyError = error.message;
+      }
+    }
+    return this.key;
+  }
+
+  /**
+   * Head kept outside the log: { hash, seq, rotated, mac } - rotated[n - 1] is the final
+   * entry of rotated file n, and rotated[maxFiles] that of the last file dropped;
+   * mac is null if it was written without the key
+   * @private
+   * @returns {Promise<Object|null>} - null before the first entry with a sequence number
+   * @throws {Error} - If the head can't be read or does not match the key
+   */
+  async readHead(key) {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.promises.readFile(this.headFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Audit log head can't be read: ${error.message}`);
+    }
+
+    const { mac, ...head } = stored;
+    if (mac && key && mac !== AuditLog.mac(head, key)) {
+      throw new Error('Audit log head was modified');
+    }
+    return { ...head, keyed: Boolean(mac) };
+  }
+
+  /**
+   * Replace the head file atomically
+   * @private
+   */
+  async writeHead({ hash, seq, rotated }, key) {
+    const head = { hash, seq, rotated };
+    const tempFile = `${this.headFile}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ ...head, mac: key ? AuditLog.mac(head, key) : null }), { mode: 0o600 });
+    await fs.promises.rename(tempFile, this.headFile);
+  }
+
+  /**
+   * Hash and sequence number of the newest entry, from the current file or else
+   * the newest rotated one
+   * @private
+   * @returns {Promise<Object>} - { hash, seq }; seq is 0 before the first keyed entry
+   */
+  async readLastEntry() {
+    for (const file of [this.file, this.getRotatedFile(1)]) {
+      const line = await AuditLog.readLastLine(file);
+      if (line === null) continue;
+
+      try {
+        const { hash, seq } = JSON.parse(line);
+        return { hash: hash || GENESIS_HASH, seq: seq || 0 };
+      } catch (error) {
+        // A torn write; verification reports it, new entries start a fresh chain
+        return { hash: GENESIS_HASH, seq: 0 };
+      }
+    }
+    return { hash: GENESIS_HASH, seq: 0 };
+  }
+
+  /**
+   * Move the current file aside when the next line would take it over maxBytes
+   * @private
+   * @returns {Promise<boolean>} - True if the file was rotated
+   */
+  async rotateIfNeeded(lineBytes) {
+    let size = 0;
+    try {
+      size = (await fs.promises.stat(this.file)).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (size === 0 || size + lineBytes <= this.maxBytes) return false;
+
+    await fs.promises.rm(this.getRotatedFile(this.maxFiles), { force: true });
+    for (let number = this.maxFiles - 1; number >= 1; number--) {
+      await fs.promises.rename(this.getRotatedFile(number), this.getRotatedFile(number + 1)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.promises.rename(this.file, this.getRotatedFile(1));
+    return true;
+  }
+
+  /**
+   * Check the hash chain of every file on disk against the key and the head
+   * Unkeyed entries only prove the order of the chain, not who wrote it, so they are
+   * counted separately.
+   * @returns {Promise<Object>} - { valid, entries, unkeyed, error } - error names the first problem found
+   */
+  async verify() {
+    await this.writeQueue;
+
+    const key = this.getKey();
+    let head;
+    try {
+      head = await this.readHead(key);
+    } catch (error) {
+      return { valid: false, entries: 0, unkeyed: 0, error: error.message };
+    }
+    const rotated = head ? head.rotated : [];
+
+    // Rotated files the head knows about must all still be there
+    for (let number = 1; number <= Math.min(rotated.length, this.maxFiles); number++) {
+      if (!fs.existsSync(this.getRotatedFile(number))) {
+        return { valid: false, entries: 0, unkeyed: 0, error: `${path.basename(this.getRotatedFile(number))} is missing` };
+      }
+    }
+
+    let entries = 0;
+    let unkeyed = 0;
+    let previous = null; // { hash, seq } of the entry before, once known
+    const fail = (error) => ({ valid: false, entries, unkeyed, error });
+
+    for (let number = this.maxFiles; number >= 0; number--) {
+      const file = number ? this.getRotatedFile(number) : this.file;
+      if (!fs.existsSync(file)) continue;
+
+      // The oldest file on disk follows the last dropped one (or starts the log)
+      if (previous === null) {
+        previous = rotated[number] || null;
+      }
+
+      const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+      for (let index = 0; index < lines.length; index++) {
+        const where = `${path.basename(file)} line ${index + 1}`;
+        let entry;
+        try {
+          entry = JSON.parse(lines[index]);
+        } catch (error) {
+          return fail(`${where}: not a JSON entry`);
+        }
+
+        const isKeyed = Boolean(entry.seq) && !entry.unkeyed;
+        if (isKeyed && !key) {
+          return fail(`${where}: can't be checked without the audit log key (${this.keyError})`);
+        }
+        const problem = AuditLog.checkEntry(entry, previous, key);
+        if (problem) {
+          return fail(`${where}: ${problem}`);
+        }
+        if (head && entry.seq === head.seq) {
+          if (entry.hash !== head.hash) {
+            return fail(`${where}: does not match the recorded head`);
+          }
+          // A keyed writer always keys the head, so an unkeyed one was replaced
+          if (isKeyed && !head.keyed) {
+            return fail('the recorded head is not keyed');
+          }
+        }
+
+        previous = { hash: entry.hash, seq: entry.seq || 0 };
+        entries++;
+        if (!isKeyed) {
+          unkeyed++;
+        }
+      }
+
+      const recorded = number ? rotated[number - 1] : null;
+      if (recorded && (!previous || previous.hash !== recorded.hash)) {
+        return fail(`${path.basename(file)}: does not end with its recorded final entry`);
+      }
+    }
+
+    if (!head && previous && previous.seq) {
+      return fail('the log head is missing');
+    }
+    // Entries after the head are fine (a write that stopped before updating it); fewer are not
+    if (head && (!previous || previous.seq < head.seq)) {
+      return fail('the log ends before its last recorded entry');
+    }
+
+    return { valid: true, entries, unkeyed, error: null };
+  }
+
+  /**
+   * Check one entry against the one before it
+   * @private
+   * @param {Object} entry - Parsed entry
+   * @param {Object|null} previous - { hash, seq } of the entry before, null at the start of the log
+   * @param {Buffer|null} key - HMAC key
+   * @returns {string|null} - What is wrong, or null
+   */
+  static checkEntry(entry, previous, key) {
+    if (!entry.seq) {
+      // Written before sequence numbers: only allowed at the start of the chain
+      if (previous && previous.seq) {
+        return 'entry without a sequence number in the chain';
+      }
+      if (previous && entry.prev !== previous.hash) {
+        return 'does not follow the previous entry';
+      }
+      return AuditLog.seal(entry).hash === entry.hash ? null : 'entry was modified';
+    }
+
+    if (AuditLog.seal(entry, entry.unkeyed ? null : key).hash !== entry.hash) {
+      return 'entry was modified';
+    }
+    const expectedSeq = previous && previous.seq ? previous.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) {
+      return entry.seq > expectedSeq ? 'entries before this one are missing' : 'entry is out of order';
+    }
+    if (previous ? entry.prev !== previous.hash : entry.prev !== GENESIS_HASH) {
+      return 'does not follow the previous entry';
+    }
+    return null;
+  }
+
+  /**
+   * Write the whole log, oldest entry first, to one file
+   * @param {string} targetPath - File to create
+   * @returns {Promise<Object>} - { entries, valid, error } - the verification result
+   */
+  async export(targetPath) {
+    const verification = await this.verify();
+
+    const contents = [];
+    for (const file of this.listFiles()) {
+      contents.push(await fs.promises.readFile(file, 'utf8'));
+    }
+
+    try {
+      await fs.promises.writeFile(targetPath, contents.join(''), { mode: 0o600 });
+    } catch (error) {
+      throw new Error(`Audit log export failed: ${error.message}`);
+    }
+
+    console.log(`Exported ${verification.entries} audit log entries to ${targetPath}`);
+    return verification;
+  }
+
+  /**
+   * Add the entry's hash (replacing any it already has)
+   * @param {Object} entry - Entry including seq and prev
+   * @param {Buffer} [key] - HMAC key; without one, the unkeyed SHA-256 of older entries
+   * @returns {Object}
+   */
+  static seal(entry, key = null) {
+    const { hash, ...body } = entry;
+    return {
+      ...body,
+      hash: key ? AuditLog.mac(body, key) : crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex')
+    };
+  }
+
+  /**
+   * HMAC-SHA256 of a JSON value
+   * @param {Object} value
+   * @param {Buffer} key
+   * @returns {string} - hex
+   */
+  static mac(value, key) {
+    return crypto.createHmac('sha256', key).update(JSON.stringify(value)).digest('hex');
+  }
+
+  /**
+   * Drop credential fields and mask JWTs in free text
+   * @param {Object} details - Event fields
+   * @returns {Object}
+   */
+  static sanitize(details) {
+    const sanitized = {};
+    for (const [key, value] of Object.entries(details)) {
+      if (SECRET_FIELD.test(key) || value === undefined) continue;
+      sanitized[key] = typeof value === 'string' ? value.replace(JWT_PATTERN, '[redacted]') : value;
+    }
+    return sanitized;
+  }
+
+  /**
+   * @private
+   */
+  static async readLastLine(file) {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      const length = Math.min(size, 64 * 1024); // entries are far smaller
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, size - length);
+
+      const lines = buffer.toString('utf8').split('\n').filter(Boolean);
+      return lines.length ? lines[lines.length - 1] : null;
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = AuditLog;
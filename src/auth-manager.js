@@ -1,45 +1,194 @@
-const { app, BrowserWindow, shell, ipcMain, Menu } = require('electron');
+const { app, BrowserWindow, shell, ipcMain, Menu, dialog, powerMonitor, safeStorage } = require('electron');
 const path = require('path');
-const OAuthPKCE = require('./oauth-pkce');
-const { TokenManager } = require('./token-manager');
+const ProviderProfiles = require('./provider-profiles');
+const OIDCDiscovery = require('./oidc-discovery');
+const LoopbackServer = require('./loopback-server');
+const RevocationQueue = require('./revocation-queue');
+const RefreshScheduler = require('./refresh-scheduler');
+const RefreshLock = require('./refresh-lock');
+const SessionPolicy = require('./session-policy');
+const DPoP = require('./dpop');
+const ProtectedFile = require('./protected-file');
+const ApiClient = require('./api-client');
+const TokenInspector = require('./token-inspector');
+const AuditLog = require('./audit-log');
+const AuthStateMachine = require('./auth-state-machine');
+const PendingAuthorizations = require('./pending-authorizations');
+const OAuthError = require('./oauth-error');
+const { KeytarBackend, EncryptedFileBackend, AutoBackend } = require('./storage-backends');
+const { TokenStorage, TokenManager } = require('./token-manager');
 
 /**
- * Authentication state machine for handling OAuth flow
+ * Drives the OAuth flows and keeps the session's AuthStateMachine up to date
  */
 class AuthenticationManager {
-  constructor() {
-    // OAuth configuration - Replace with your actual OAuth provider details
-    this.oauthConfig = {
-      clientId: process.env.OAUTH_CLIENT_ID || 'your-client-id',
-      authUrl: process.env.OAUTH_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
-      tokenUrl: process.env.OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
-      scopes: ['openid', 'profile', 'email']
-    };
+  /**
+   * @param {Object} options - { tokenBroker, devMode } - the broker hands tokens to the spawned backends;
+   *   devMode (--dev) adds the token inspector
+   */
+  constructor(options = {}) {
+    // OAuth provider profiles - configure OAUTH_* (or OAUTH_PROVIDERS with OAUTH_<NAME>_*) in .env
+    // When an issuer is set, endpoints are discovered and the explicit URLs are only a fallback
+    this.providerProfiles = ProviderProfiles.fromEnv();
+    this.providers = new Map(); // profile name -> { config, oauthPKCE }
+    for (const config of this.providerProfiles.list()) {
+      this.providers.set(config.name, { config, oauthPKCE: ProviderProfiles.createClient(config) });
+    }
 
-    this.oauthPKCE = new OAuthPKCE(
-      this.oauthConfig.clientId,
-      this.oauthConfig.authUrl,
-      this.oauthConfig.tokenUrl
-    );
+    this.oidcDiscovery = new OIDCDiscovery({
+      cacheFile: path.join(app.getPath('userData'), 'oidc-discovery-cache.json')
+    });
+
+    // Tokens go to the OS credential store, or to encrypted files under userData where
+    // there is none (OAUTH_TOKEN_STORE=auto|keytar|file, default auto)
+    this.storageBackend = new AutoBackend({
+      preferred: process.env.OAUTH_TOKEN_STORE || 'auto',
+      backends: [
+        new KeytarBackend(),
+        new EncryptedFileBackend({ directory: path.join(app.getPath('userData'), 'token-store'), safeStorage })
+      ]
+    });
+
+    // One DPoP key pair per installation (OAUTH_DPOP=true, or OAUTH_<NAME>_DPOP per profile),
+    // encrypted in its own file so a copy of the token store carries no key
+    this.dpop = new DPoP(new ProtectedFile({ file: path.join(app.getPath('userData'), 'dpop-key.bin'), safeStorage }));
+    for (const { config, oauthPKCE } of this.providers.values()) {
+      if (config.dpop) {
+        oauthPKCE.dpop = this.dpop;
+      }
+    }
+
+    // Who signed in, out and re-authenticated, shared by all instances
+    // (OAUTH_AUDIT_MAX_FILE_KB, default 1024, and OAUTH_AUDIT_MAX_FILES, default 5).
+    // Its HMAC key and head live outside the log directory
+    this.auditLog = new AuditLog({
+      directory: path.join(app.getPath('userData'), 'audit'),
+      maxBytes: (parseInt(process.env.OAUTH_AUDIT_MAX_FILE_KB, 10) || 1024) * 1024,
+      maxFiles: parseInt(process.env.OAUTH_AUDIT_MAX_FILES, 10) || 5,
+      lock: new RefreshLock({ lockDir: path.join(app.getPath('userData'), 'locks') }),
+      keyFile: new ProtectedFile({ file: path.join(app.getPath('userData'), 'audit-key.bin'), safeStorage }),
+      headFile: path.join(app.getPath('userData'), 'audit-head.json')
+    });
+
+    const defaultProvider = this.getProvider();
+    // Instances share the token store, so refreshes are serialized with a lock file
+    this.tokenManager = new TokenManager(defaultProvider.oauthPKCE, new TokenStorage(undefined, undefined, this.storageBackend), {
+      refreshLock: new RefreshLock({ lockDir: path.join(app.getPath('userData'), 'locks') }),
+      onTokensChanged: (accountId) => this.handleTokensChanged(accountId),
+      onRefreshStart: (accountId) => this.handleRefreshStart(accountId),
+      onRefresh: (accountId, result) => this.handleRefreshResult(accountId, result),
+      onAccountRemoved: (accountId) => this.handleAccountRemoved(accountId)
+    });
+    for (const [name, provider] of this.providers) {
+      this.tokenManager.registerProvider(name, provider.oauthPKCE);
+    }
+    const revocationStorage = new TokenStorage('electron-oauth-app', 'pending-revocations', this.storageBackend);
+    this.revocationQueue = new RevocationQueue(defaultProvider.oauthPKCE, revocationStorage, {
+      resolveClient: (name) => this.getProvider(name).oauthPKCE,
+      lock: new RefreshLock({ lockDir: path.join(app.getPath('userData'), 'locks') })
+    });
+
+    // Refresh tokens before they expire (OAUTH_REFRESH_BEFORE_SECONDS, default 300)
+    const refreshBeforeSeconds = parseInt(process.env.OAUTH_REFRESH_BEFORE_SECONDS, 10);
+    this.refreshScheduler = new RefreshScheduler(this.tokenManager, {
+      refreshBefore: (Number.isNaN(refreshBeforeSeconds) ? 300 : refreshBeforeSeconds) * 1000,
+      powerMonitor,
+      isPaused: (accountId) => this.isSessionLocked(accountId),
+      onStatusChange: (accountId, status) => {
+        this.handleScheduledStatus(accountId, status);
+        this.notifyStatusChanged(accountId, status);
+      }
+    });
+
+    // The backends get the active account's access token from the broker
+    this.tokenBroker = options.tokenBroker || null;
+    if (this.tokenBroker) {
+      this.tokenBroker.setTokenSource(() => this.getBackendToken());
+      this.tokenBroker.setProofSource((request) => this.createBackendProof(request));
+    }
+
+    // Authenticated API calls for renderers (OAUTH_API_BASE_URL, plus OAUTH_API_ALLOWED_ORIGINS)
+    this.apiClient = new ApiClient(this.tokenManager, {
+      baseUrl: process.env.OAUTH_API_BASE_URL || null,
+      allowedOrigins: (process.env.OAUTH_API_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    });
+
+    // Lock or log out after inactivity, screen lock or suspend (OAUTH_SESSION_* settings)
+    this.sessionPolicy = SessionPolicy.fromEnv(process.env, {
+      powerMonitor,
+      onTrigger: (action, reason) => this.applySessionPolicy(action, reason)
+    });
 
-    this.tokenManager = new TokenManager(this.oauthPKCE);
+    // Developer token inspector, only with --dev
+    this.devMode = options.devMode || false;
+    this.tokenInspector = this.devMode
+      ? new TokenInspector({ tokenManager: this.tokenManager, storageBackend: this.storageBackend })
+      : null;
+    this.inspectorWindows = new Map(); // webContents ID -> account ID shown by that inspector
 
-    // Authentication state
-    this.authState = 'unauthenticated'; // unauthenticated | authenticating | authenticated
+    // Abandoned logins expire after OAUTH_LOGIN_TIMEOUT_SECONDS (default 300)
+    this.loginTimeout = (parseInt(process.env.OAUTH_LOGIN_TIMEOUT_SECONDS, 10) || 300) * 1000;
+
+    // Authorization requests waiting for their callback, keyed by state
+    this.pendingAuthorizations = new PendingAuthorizations({ maxAge: this.loginTimeout });
+
+    // Authentication state of the session (the active account); windows, menus
+    // and the IPC layer follow its 'transition' events
+    this.stateMachine = new AuthStateMachine();
+    this.stateMachine.on('transition', (entry) => this.handleStateTransition(entry));
     this.loginWindow = null;
     this.mainWindow = null;
     this.pendingAuthCallback = null;
     this.pendingFileToOpen = null;
+    this.loginProviderName = null; // provider profile of the login in progress
+    this.loginAttempt = null; // { kind, startedAt, timer, request } of the login in progress
+    this.windowAccounts = new Map(); // webContents ID -> account ID used by that window
+    this.profileLoads = new Map(); // accountId -> in-flight profile load
 
     this.setupEventHandlers();
   }
 
   setupEventHandlers() {
     // IPC handlers for renderer processes
-    ipcMain.handle('auth:start-login', () => this.startLogin());
-    ipcMain.handle('auth:start-forced-login', () => this.startForcedLogin());
-    ipcMain.handle('auth:get-status', () => this.getAuthStatus());
-    ipcMain.handle('auth:logout', () => this.logout());
+    ipcMain.handle('auth:start-login', (event, providerName) =>
+      this.startLogin(providerName, BrowserWindow.fromWebContents(event.sender)));
+    ipcMain.handle('auth:start-device-login', (event, providerName) => this.startDeviceLogin(providerName));
+    ipcMain.handle('auth:cancel-login', (event) => this.cancelLogin(BrowserWindow.fromWebContents(event.sender)));
+    ipcMain.handle('auth:reopen-browser', (event) => this.reopenAuthorization(BrowserWindow.fromWebContents(event.sender)));
+    ipcMain.handle('auth:list-providers', () => this.listProviders());
+    // A locked session is only re-authenticated through auth:unlock, which also clears the lock
+    ipcMain.handle('auth:step-up', (event) =>
+      this.unlessLocked(this.getWindowAccountId(event.sender), { success: false, message: 'Session is locked' },
+        (accountId) => this.startStepUp(accountId, BrowserWindow.fromWebContents(event.sender))));
+    ipcMain.handle('auth:request-scopes', (event, scopes) =>
+      this.unlessLocked(this.getWindowAccountId(event.sender), { success: false, message: 'Session is locked' },
+        (accountId) => this.requestScopes(scopes, accountId, BrowserWindow.fromWebContents(event.sender))));
+    ipcMain.handle('auth:get-status', (event) => this.getAuthStatus(this.getWindowAccountId(event.sender)));
+    ipcMain.handle('auth:get-profile', (event) =>
+      this.unlessLocked(this.getWindowAccountId(event.sender), null, (accountId) => this.getProfile(accountId)));
+    ipcMain.handle('auth:logout', (event, options = {}) => this.logout({
+      ...options,
+      accountId: options.accountId || this.getWindowAccountId(event.sender),
+      reason: 'user'
+    }));
+    ipcMain.handle('auth:list-accounts', (event) => this.listAccounts(event.sender));
+    ipcMain.handle('auth:switch-account', (event, accountId) =>
+      this.switchAccount(BrowserWindow.fromWebContents(event.sender), accountId));
+    ipcMain.handle('auth:add-account', () => this.addAccount());
+    ipcMain.handle('auth:unlock', (event) => this.unlockSession(BrowserWindow.fromWebContents(event.sender)));
+    ipcMain.handle('api:request', (event, request) =>
+      this.unlessLocked(this.getWindowAccountId(event.sender), { ok: false, status: 0, error: 'Session is locked' },
+        (accountId) => this.apiClient.request(request || {}, accountId)));
+
+    // Token inspector; not registered at all outside --dev
+    if (this.devMode) {
+      ipcMain.handle('inspector:get-snapshot', (event) =>
+        this.tokenInspector.getSnapshot(this.getInspectorAccountId(event.sender)));
+      ipcMain.handle('inspector:force-refresh', (event) =>
+        this.tokenInspector.forceRefresh(this.getInspectorAccountId(event.sender)));
+      ipcMain.handle('inspector:simulate-expiry', (event) =>
+        this.tokenInspector.simulateExpiry(this.getInspectorAccountId(event.sender)));
+    }
 
     // Handle protocol callbacks (Windows/Linux)
     if (process.platform !== 'darwin') {
@@ -51,136 +200,1101 @@ class AuthenticationManager {
    * Check authentication status on app startup
    */
   async initialize() {
+    await this.discoverProviders();
+
+    // Retry revocations left over from logouts while offline
+    this.revocationQueue.flush().catch(error => {
+      console.warn('Could not retry queued token revocations:', error.message);
+    });
+
+    // Earlier versions kept the DPoP key in the token store; tokens bound to it sign in again
+    const legacyDpopKey = new TokenStorage('electron-oauth-app', 'dpop-key', this.storageBackend);
+    if (await legacyDpopKey.hasTokens()) {
+      await legacyDpopKey.deleteTokens();
+    }
+
     try {
-      const isAuthenticated = await this.tokenManager.isAuthenticated();
-      this.authState = isAuthenticated ? 'authenticated' : 'unauthenticated';
-      console.log(`Initial auth state: ${this.authState}`);
-      return this.authState;
+      await this.tokenManager.loadAccounts();
+      const accountId = this.tokenManager.getActiveAccountId();
+      if (await this.isSessionLocked(accountId)) {
+        // Locked before a restart or by another instance; nothing is refreshed until it is unlocked
+        if (await this.tokenManager.getTokens(accountId)) {
+          this.stateMachine.transition('authenticated', { accountId, reason: 'restored' });
+          this.stateMachine.transition('locked', { accountId, reason: 'restored' });
+        }
+      } else if (await this.tokenManager.isAuthenticated(accountId)) {
+        const offline = this.tokenManager.getOfflineState(accountId);
+        this.stateMachine.transition(offline ? 'offline' : 'authenticated', { accountId, reason: 'restored' });
+      }
+      console.log(`Initial auth state: ${this.stateMachine.state}`);
+      this.audit('app-started', {
+        accountId: this.stateMachine.accountId,
+        state: this.stateMachine.state
+      });
+
+      this.refreshScheduler.start().catch(error => {
+        console.error('Failed to start token refresh scheduler:', error.message);
+      });
+      this.sessionPolicy.start();
+
+      // Backends subscribed before there was a token source and only heard a logout
+      this.publishBackendToken(this.tokenManager.getActiveAccountId());
+      return this.stateMachine.state;
     } catch (error) {
       console.error('Error initializing authentication:', error);
-      this.authState = 'unauthenticated';
-      return this.authState;
+      return this.stateMachine.state;
     }
   }
 
+  /**
+   * Fill in provider endpoints from OIDC discovery for every profile with an issuer
+   * Falls back to the explicit endpoint settings if discovery fails
+   */
+  async discoverProviders() {
+    await Promise.all(Array.from(this.providers.values()).map(async ({ config, oauthPKCE }) => {
+      if (!config.issuer) {
+        return;
+      }
+
+      try {
+        const metadata = await this.oidcDiscovery.discover(config.issuer);
+        oauthPKCE.applyMetadata(metadata);
+        console.log(`Using discovered OAuth endpoints for ${config.name}:`, config.issuer);
+      } catch (error) {
+        console.warn(`OIDC discovery unavailable for ${config.name}, using explicit endpoints:`, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Get a provider profile and its OAuth client
+   * @param {string} [name] - Profile name, defaults to the first configured profile
+   * @returns {Object} - { config, oauthPKCE }
+   */
+  getProvider(name = null) {
+    return this.providers.get(name) || this.providers.get(this.providerProfiles.getDefault().name);
+  }
+
+  /**
+   * Provider profile of the login in progress
+   */
+  get loginProvider() {
+    return this.getProvider(this.loginProviderName);
+  }
+
+  /**
+   * List provider profiles for the login window
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(({ config, oauthPKCE }) => ({
+      name: config.name,
+      displayName: config.displayName,
+      supportsDeviceLogin: Boolean(oauthPKCE.deviceAuthorizationUrl)
+    }));
+  }
+
   /**
    * Get current authentication status
+   * 'offline' means the access token expired while the provider was unreachable;
+   * the account stays signed in with its cached identity until a refresh succeeds.
+   * Only reads the state machine: checking the status must not disturb a login in progress.
+   * @param {string} [accountId] - Account to check, defaults to the active account
    */
-  async getAuthStatus() {
-    const isAuthenticated = await this.tokenManager.isAuthenticated();
-    this.authState = isAuthenticated ? 'authenticated' : 'unauthenticated';
+  async getAuthStatus(accountId = this.tokenManager.getActiveAccountId()) {
+    // A locked session is not refreshed and shows nothing of the account
+    if (await this.isSessionLocked(accountId) && await this.tokenManager.getTokens(accountId)) {
+      const unlocking = this.stateMachine.accountId === accountId && this.stateMachine.is('stepping-up');
+      return {
+        state: unlocking ? 'stepping-up' : 'locked',
+        isAuthenticated: true,
+        offlineSince: null,
+        error: null,
+        accountId,
+        expiresAt: await this.tokenManager.getTokenExpiry(accountId),
+        profile: null,
+        locked: true,
+        auditLog: this.auditLog.getStatus()
+      };
+    }
+
+    const accessToken = await this.tokenManager.getValidAccessToken(accountId);
+    const offline = accessToken ? null : this.tokenManager.getOfflineState(accountId);
+    const isAuthenticated = Boolean(accessToken || offline);
+
+    let state = isAuthenticated ? (offline ? 'offline' : 'authenticated') : 'unauthenticated';
+    if (!isAuthenticated && this.stateMachine.is('authenticating')) {
+      state = 'authenticating';
+    } else if (isAuthenticated && this.stateMachine.accountId === accountId &&
+               this.stateMachine.is('refreshing', 'stepping-up', 'expired', 'locked')) {
+      state = this.stateMachine.state;
+    }
+
     return {
-      state: this.authState,
-      isAuthenticated
+      state,
+      isAuthenticated,
+      offlineSince: offline ? offline.since : null,
+      error: offline ? offline.error : null,
+      accountId: isAuthenticated ? accountId : null,
+      expiresAt: isAuthenticated ? await this.tokenManager.getTokenExpiry(accountId) : null,
+      profile: isAuthenticated ? await this.tokenManager.getProfile(accountId) : null,
+      locked: false,
+      auditLog: this.auditLog.getStatus()
     };
   }
 
+  /**
+   * Get the signed-in user's profile
+   * Cached with the account and reloaded whenever its tokens change
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object|null>} - { sub, name, email, emailVerified, picture, updatedAt } or null
+   */
+  async getProfile(accountId = this.tokenManager.getActiveAccountId()) {
+    const profile = await this.tokenManager.getProfile(accountId);
+    return profile || this.loadProfile(accountId);
+  }
+
+  /**
+   * Build an account's profile from its ID token claims and the userinfo endpoint
+   * Concurrent loads of the same account share one request
+   * @param {string} accountId - Account to load
+   * @returns {Promise<Object|null>} - Profile, or null if the account is not signed in
+   */
+  async loadProfile(accountId) {
+    if (this.profileLoads.has(accountId)) {
+      return this.profileLoads.get(accountId);
+    }
+
+    const load = this.fetchProfile(accountId).finally(() => {
+      this.profileLoads.delete(accountId);
+    });
+    this.profileLoads.set(accountId, load);
+    return load;
+  }
+
+  /**
+   * @private
+   */
+  async fetchProfile(accountId) {
+    const tokens = await this.tokenManager.getTokens(accountId);
+    if (!tokens) {
+      return null;
+    }
+
+    const claims = tokens.id_token_claims || {};
+    const previous = await this.tokenManager.getProfile(accountId);
+    const { oauthPKCE } = this.getProvider(tokens.provider);
+
+    let userInfo = {};
+    if (oauthPKCE.userinfoUrl && tokens.access_token) {
+      try {
+        userInfo = await oauthPKCE.fetchUserInfo(tokens.access_token, tokens.token_type);
+
+        // The userinfo response must describe the user the ID token is about (OIDC Core 5.3.2)
+        if (claims.sub && userInfo.sub !== claims.sub) {
+          userInfo = {};
+          throw new Error('UserInfo response is about a different subject');
+        }
+      } catch (error) {
+        console.warn('Could not load user profile, using ID token claims:', error.message);
+        if (previous) {
+          return previous;
+        }
+      }
+    }
+
+    const merged = { ...claims, ...userInfo };
+    const profile = {
+      sub: merged.sub || null,
+      name: merged.name || [merged.given_name, merged.family_name].filter(Boolean).join(' ') || merged.preferred_username || null,
+      email: merged.email || null,
+      emailVerified: merged.email_verified === true || merged.email_verified === 'true',
+      picture: AuthenticationManager.sanitizePictureUrl(merged.picture),
+      updatedAt: Date.now()
+    };
+
+    await this.tokenManager.saveProfile(accountId, profile);
+
+    const changed = !previous || ['sub', 'name', 'email', 'emailVerified', 'picture']
+      .some(key => previous[key] !== profile[key]);
+    if (changed) {
+      this.notifyProfileChanged(accountId, profile);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Only https pictures are shown in the UI
+   * @private
+   */
+  static sanitizePictureUrl(picture) {
+    try {
+      return picture && new URL(picture).protocol === 'https:' ? picture : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the validated ID token claims of the signed-in user
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object|null>} - Claims or null when not signed in
+   */
+  async getIdTokenClaims(accountId) {
+    return this.tokenManager.getIdTokenClaims(accountId);
+  }
+
+  /**
+   * Get the account a renderer is bound to
+   * @param {WebContents} webContents - Renderer web contents
+   * @returns {string|null} - Account ID
+   */
+  getWindowAccountId(webContents) {
+    return this.windowAccounts.get(webContents.id) || this.tokenManager.getActiveAccountId();
+  }
+
+  /**
+   * List signed-in accounts for a renderer, marking the one its window uses
+   * @param {WebContents} [webContents] - Requesting renderer
+   */
+  async listAccounts(webContents = null) {
+    const currentAccountId = webContents ? this.getWindowAccountId(webContents) : null;
+    const accounts = await this.tokenManager.listAccounts();
+    return accounts.map(account => ({
+      id: account.id,
+      label: this.getAccountLabel(account),
+      email: account.email,
+      name: account.name,
+      provider: account.provider,
+      active: account.active,
+      current: account.id === currentAccountId
+    }));
+  }
+
+  /**
+   * Human-readable name for an account
+   */
+  getAccountLabel(account) {
+    const label = account.email || account.name || account.sub || 'Default account';
+    if (this.providers.size > 1 && account.provider) {
+      return `${label} (${this.getProvider(account.provider).config.displayName})`;
+    }
+    return label;
+  }
+
+  /**
+   * Sign in another account
+   * With several provider profiles the login window lets the user pick one
+   */
+  async addAccount() {
+    if (this.providers.size > 1) {
+      this.showLoginWindow({ addAccount: true });
+      return { success: true, message: 'Choose a provider in the login window' };
+    }
+    return this.startLogin();
+  }
+
+  /**
+   * Bind a window to another signed-in account
+   * The account also becomes the default for new windows and files
+   * @param {BrowserWindow} targetWindow - Window to switch
+   * @param {string} accountId - Account ID from listAccounts
+   */
+  async switchAccount(targetWindow, accountId) {
+    try {
+      // Switching away would get a locked window around its lock
+      const windowAccountId = targetWindow && !targetWindow.isDestroyed()
+        ? this.getWindowAccountId(targetWindow.webContents)
+        : null;
+      if (await this.isSessionLocked(windowAccountId) || await this.isSessionLocked(accountId)) {
+        return { success: false, error: 'Session is locked' };
+      }
+
+      await this.tokenManager.setActiveAccount(accountId);
+      this.publishBackendToken(accountId);
+
+      if (targetWindow && !targetWindow.isDestroyed()) {
+        this.windowAccounts.set(targetWindow.webContents.id, accountId);
+        targetWindow.webContents.send('auth:status-changed', await this.getAuthStatus(accountId));
+      }
+
+      this.notifyAccountsChanged();
+      return { success: true };
+    } catch (error) {
+      console.error('Account switch error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ask which account to use when several are signed in
+   * @param {string} message - Prompt shown to the user
+   * @returns {Promise<string|null>} - Chosen account ID, or null if cancelled
+   */
+  async chooseAccount(message) {
+    const accounts = await this.listAccounts();
+
+    if (accounts.length <= 1) {
+      return accounts.length ? accounts[0].id : null;
+    }
+
+    const defaultId = accounts.findIndex(account => account.active);
+    const { response } = await dialog.showMessageBox({
+      type: 'question',
+      title: 'Choose Account',
+      message,
+      buttons: [...accounts.map(account => account.label), 'Cancel'],
+      defaultId: defaultId >= 0 ? defaultId : 0,
+      cancelId: accounts.length
+    });
+
+    return response < accounts.length ? accounts[response].id : null;
+  }
+
   /**
    * Start OAuth login flow
+   * @param {string} [providerName] - Provider profile to log in with
+   * @param {BrowserWindow} [sourceWindow] - Window the login was started from
    */
-  async startLogin() {
-    if (this.authState === 'authenticating') {
+  async startLogin(providerName = null, sourceWindow = null) {
+    if (this.loginAttempt) {
       console.log('Login already in progress');
       return { success: false, message: 'Login already in progress' };
     }
 
+    this.loginProviderName = this.getProvider(providerName).config.name;
+    const attempt = this.beginLoginAttempt('browser');
+
     try {
-      this.authState = 'authenticating';
-      
-      // Generate PKCE parameters and build auth URL
-      const authUrl = this.oauthPKCE.buildAuthUrl(this.oauthConfig.scopes);
+      const { config } = this.loginProvider;
+
+      // Fresh PKCE parameters for this login, kept until its callback arrives
+      attempt.request = await this.createPendingAuthorization(this.loginProvider, config.scopes, {
+        kind: 'login',
+        window: sourceWindow || this.loginWindow,
+        attempt
+      });
       console.log('Opening browser for OAuth login...');
-      
-      // Open external browser
-      await shell.openExternal(authUrl);
-      
+      await this.openAuthorization(attempt.request);
+
       // Show waiting UI if login window exists
       if (this.loginWindow && !this.loginWindow.isDestroyed()) {
         this.loginWindow.webContents.send('auth:waiting-for-callback');
       }
+      this.notifyLoginState('waiting', 'Waiting for the browser login');
 
       return { success: true, message: 'Browser opened for login' };
     } catch (error) {
       console.error('Error starting login:', error);
-      this.authState = 'unauthenticated';
+      this.abortLogin(attempt, 'failed', error.message);
       return { success: false, message: error.message };
     }
   }
 
   /**
-   * Start forced login (for actions requiring fresh authentication)
+   * Start tracking a login; it is abandoned after loginTimeout
+   * @private
    */
-  async startForcedLogin() {
-    console.log('Starting forced re-authentication...');
-    
-    // Clear existing tokens to force fresh login
-    await this.tokenManager.clearTokens();
-    this.authState = 'unauthenticated';
-    
-    return this.startLogin();
+  beginLoginAttempt(kind) {
+    this.endLoginAttempt();
+
+    // An abandoned login returns the session to the state it was in (e.g. when adding an account)
+    const attempt = { kind, startedAt: Date.now(), timer: null, request: null, resumeState: this.stateMachine.state };
+    this.loginAttempt = attempt;
+    this.stateMachine.tryTransition('authenticating', { reason: `${kind} login` });
+    this.armLoginTimeout(attempt, this.loginTimeout);
+    this.audit('login-started', { provider: this.loginProviderName, flow: kind });
+    this.notifyLoginState('started', `Login started with ${this.loginProvider.config.displayName}`);
+    return attempt;
+  }
+
+  /**
+   * (Re)start the timer that abandons a login attempt
+   * @private
+   */
+  armLoginTimeout(attempt, timeout) {
+    clearTimeout(attempt.timer);
+    attempt.timer = setTimeout(() => {
+      this.abortLogin(attempt, 'timed-out', 'Login timed out. Please try again.');
+    }, timeout);
+  }
+
+  /**
+   * Stop tracking the current login attempt
+   * Its authorization request is discarded, so a late callback is ignored
+   * @private
+   */
+  endLoginAttempt() {
+    if (this.loginAttempt) {
+      clearTimeout(this.loginAttempt.timer);
+      if (this.loginAttempt.request) {
+        this.discardPendingAuthorization(this.loginAttempt.request);
+      }
+      this.loginAttempt = null;
+    }
+  }
+
+  /**
+   * Cancel the step-ups/consents started from a window, or else the login in progress
+   * The pending verifier and state are discarded, so a late callback is ignored
+   * @param {BrowserWindow} [window] - Window asking to cancel; all windows if omitted
+   * @returns {Object} - { success, message }
+   */
+  cancelLogin(window = null) {
+    const accountRequests = this.pendingAuthorizations.list()
+      .filter(request => request.kind === 'account' && (!window || request.windowId === window.id));
+    if (accountRequests.length) {
+      for (const request of accountRequests) {
+        this.finishAccountAuth(request, { success: false, message: `${request.description} was cancelled` });
+      }
+      return { success: true, message: 'Cancelled' };
+    }
+
+    if (!this.loginAttempt) {
+      return { success: false, message: 'No login in progress' };
+    }
+
+    this.abortLogin(this.loginAttempt, 'cancelled', 'Login cancelled');
+    return { success: true, message: 'Login cancelled' };
+  }
+
+  /**
+   * End a login attempt without signing in
+   * Does nothing if the attempt already finished or was replaced
+   * @private
+   */
+  abortLogin(attempt, state, message) {
+    if (this.loginAttempt !== attempt) {
+      return;
+    }
+
+    console.log(`Login ${state}: ${message}`);
+    this.endLoginAttempt();
+    if (this.stateMachine.is('authenticating')) {
+      const resumeState = this.tokenManager.getActiveAccountId() ? attempt.resumeState : 'unauthenticated';
+      this.stateMachine.transition(resumeState, { accountId: this.tokenManager.getActiveAccountId(), reason: `login ${state}` });
+    }
+    this.audit(`login-${state}`, { provider: this.loginProviderName, flow: attempt.kind, reason: message });
+
+    this.notifyLoginState(state, message);
+    if (state === 'failed') {
+      this.notifyAuthError(message);
+    }
+  }
+
+  /**
+   * Create an authorization request and remember it until its callback arrives
+   * Every request has its own verifier, state, nonce and redirect URI; in loopback
+   * mode it also gets its own one-shot local listener.
+   * @param {Object} provider - { config, oauthPKCE } to authorize with
+   * @param {string[]} scopes - Scopes to request
+   * @param {Object} context - { kind: 'login'|'account', window, ... } kept with the request
+   * @returns {Promise<Object>} - The pending request
+   */
+  async createPendingAuthorization({ config, oauthPKCE }, scopes, { window = null, ...context }) {
+    let server = null;
+    let redirectUri = config.redirectUri;
+
+    if (config.redirectMode === 'loopback') {
+      server = new LoopbackServer({ timeout: this.loginTimeout });
+      redirectUri = await server.start();
+    }
+
+    const request = this.pendingAuthorizations.add({
+      ...oauthPKCE.createAuthorizationRequest(scopes, redirectUri),
+      ...context,
+      provider: config.name,
+      windowId: window && !window.isDestroyed() ? window.id : null,
+      loopbackServer: server
+    });
+
+    if (server) {
+      server.waitForCallback()
+        .then((callbackUrl) => this.handleOAuthCallback(callbackUrl))
+        .catch((error) => {
+          // The listener is also closed when the request ends some other way
+          if (this.pendingAuthorizations.get(request.state) !== request) {
+            return;
+          }
+          console.error('Loopback login failed:', error.message);
+          if (request.kind === 'account') {
+            this.finishAccountAuth(request, { success: false, message: error.message });
+          } else {
+            this.abortLogin(request.attempt, 'failed', error.message);
+          }
+        });
+    }
+
+    return request;
+  }
+
+  /**
+   * Open the browser for a pending authorization request
+   * With PAR the parameters are pushed first; the request remembers its extra
+   * parameters, URL and request_uri expiry so it can be reopened later
+   * @private
+   */
+  async openAuthorization(request, authParams = {}) {
+    const { url, expiresAt } = await this.getProvider(request.provider).oauthPKCE.createAuthUrl(request, authParams);
+    request.authParams = authParams;
+    request.authUrl = url;
+    request.requestUriExpiresAt = expiresAt;
+    await shell.openExternal(url);
+  }
+
+  /**
+   * Open the browser again for the login, step-up or consent in progress
+   * For a browser tab that was closed or never reached the provider. The request
+   * keeps its state, PKCE verifier and loopback listener; a pushed request whose
+   * request_uri expired is pushed again first.
+   * @param {BrowserWindow} [window] - Window asking; its step-ups/consents, or else the login
+   * @returns {Promise<Object>} - { success, message }
+   */
+  async reopenAuthorization(window = null) {
+    const accountRequest = this.pendingAuthorizations.list()
+      .find(request => request.kind === 'account' && (!window || request.windowId === window.id));
+    const request = accountRequest || (this.loginAttempt && this.loginAttempt.request);
+    if (!request || !request.authUrl || this.pendingAuthorizations.get(request.state) !== request) {
+      return { success: false, message: 'No browser login in progress' };
+    }
+
+    try {
+      if (request.requestUriExpiresAt && Date.now() >= request.requestUriExpiresAt) {
+        console.log('Authorization request expired, pushing it again');
+        await this.openAuthorization(request, request.authParams);
+      } else {
+        await shell.openExternal(request.authUrl);
+      }
+      return { success: true, message: 'Browser opened again' };
+    } catch (error) {
+      console.error('Failed to reopen the browser:', error.message);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Forget a pending authorization request and stop its loopback listener
+   * @private
+   */
+  discardPendingAuthorization(request) {
+    this.pendingAuthorizations.remove(request.state);
+    if (request.loopbackServer) {
+      request.loopbackServer.close();
+    }
+  }
+
+  /**
+   * Carry out the session policy for every signed-in account
+   * @param {string} action - lock | logout
+   * @param {string} reason - idle | screen-locked | suspend
+   * @returns {Promise<void>}
+   */
+  async applySessionPolicy(action, reason) {
+    const accounts = await this.tokenManager.listAccounts();
+    if (!accounts.length) return;
+
+    if (action === 'logout') {
+      for (const account of accounts) {
+        await this.logout({ accountId: account.id, reason });
+      }
+      return;
+    }
+
+    for (const account of accounts) {
+      await this.tokenManager.setSessionLock(account.id, { since: Date.now(), reason });
+      this.refreshScheduler.unschedule(account.id);
+      this.audit('session-locked', { accountId: account.id, reason });
+    }
+    this.stateMachine.tryTransition('locked', { accountId: this.tokenManager.getActiveAccountId(), reason });
+    // Backends lose the token until the session is unlocked
+    this.publishBackendToken(this.tokenManager.getActiveAccountId());
+
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (window === this.loginWindow || window.isDestroyed()) return;
+      window.webContents.send('auth:session-locked', { reason });
+    });
+  }
+
+  /**
+   * Whether an account's session is locked (in this or any other instance)
+   * @param {string|null} accountId - Account to check
+   * @returns {Promise<boolean>}
+   */
+  async isSessionLocked(accountId) {
+    return Boolean(accountId) && Boolean(await this.tokenManager.getSessionLock(accountId));
+  }
+
+  /**
+   * Run an IPC request for an account unless its session is locked
+   * @param {string} accountId - Account of the requesting window
+   * @param {*} lockedResult - Answer while locked
+   * @param {Function} action - Called with the account ID otherwise
+   * @returns {Promise<*>}
+   */
+  async unlessLocked(accountId, lockedResult, action) {
+    if (await this.isSessionLocked(accountId)) {
+      return lockedResult;
+    }
+    return action(accountId);
+  }
+
+  /**
+   * Unlock a window's account after the user re-authenticated in the browser
+   * The new ID token must show the same user signing in again (see startStepUp)
+   * @param {BrowserWindow} window - Window asking to unlock
+   * @returns {Promise<Object>} - { success, message }
+   */
+  async unlockSession(window) {
+    const accountId = window ? this.getWindowAccountId(window.webContents) : this.tokenManager.getActiveAccountId();
+    if (!(await this.isSessionLocked(accountId))) {
+      return { success: true, message: 'Session is not locked' };
+    }
+
+    const result = await this.startStepUp(accountId, window, 'Unlocking the session');
+    if (!result.success) {
+      return result;
+    }
+
+    await this.tokenManager.setSessionLock(accountId, null);
+    this.audit('session-unlocked', { accountId });
+    this.publishBackendToken(accountId);
+    this.refreshScheduler.schedule(accountId).catch(error => {
+      console.error('Failed to schedule token refresh:', error.message);
+    });
+    BrowserWindow.getAllWindows().forEach(otherWindow => {
+      if (otherWindow === this.loginWindow || otherWindow.isDestroyed()) return;
+
+      if (this.getWindowAccountId(otherWindow.webContents) === accountId) {
+        otherWindow.webContents.send('auth:session-unlocked');
+      }
+    });
+
+    return { success: true, message: 'Session unlocked' };
+  }
+
+  /**
+   * Re-authenticate the user of an account before a sensitive action (step-up)
+   * Sends prompt=login (plus max_age/acr_values when configured) and checks
+   * auth_time/acr on the new ID token. The existing session is left untouched
+   * unless the step-up succeeds.
+   * @param {string} [accountId] - Account to step up, defaults to the active account
+   * @param {BrowserWindow} [window] - Window that asked for it
+   * @param {string} [description] - What the re-authentication is for, used in messages
+   * @returns {Promise<Object>} - { success, message } once the step-up completed or was abandoned
+   */
+  async startStepUp(accountId = this.tokenManager.getActiveAccountId(), window = null, description = 'Step-up authentication') {
+    const tokens = await this.tokenManager.getTokens(accountId);
+    const { config } = this.getProvider(tokens ? tokens.provider : null);
+
+    // A failed step-up returns the session to the state it was in (e.g. locked)
+    const resumeState = this.stateMachine.state;
+    const steppingUp = accountId === this.tokenManager.getActiveAccountId() &&
+      this.stateMachine.tryTransition('stepping-up', { accountId, reason: description });
+
+    const result = await this.authorizeAccount(accountId, {
+      description,
+      window,
+      scopes: config.scopes,
+      authParams: {
+        prompt: 'login',
+        max_age: config.stepUpMaxAge,
+        acr_values: config.stepUpAcrValues.length ? config.stepUpAcrValues.join(' ') : null
+      },
+      validation: {
+        authenticatedAfter: Math.floor(Date.now() / 1000),
+        maxAge: config.stepUpMaxAge,
+        acrValues: config.stepUpAcrValues
+      },
+      complete: async (newTokens) => {
+        await this.tokenManager.replaceTokens(accountId, newTokens);
+        this.refreshScheduler.schedule(accountId).catch(error => {
+          console.error('Failed to schedule token refresh:', error.message);
+        });
+      }
+    });
+
+    if (steppingUp && this.stateMachine.is('stepping-up')) {
+      this.stateMachine.transition(result.success ? 'authenticated' : resumeState, { accountId, reason: result.message });
+    }
+    return result;
+  }
+
+  /**
+   * Make sure an account has consented to additional scopes (incremental authorization)
+   * The resulting token is stored as a separate grant, so everyday requests keep
+   * using the least-privileged sign-in token.
+   * @param {string[]} scopes - Scopes a feature needs
+   * @param {string} [accountId] - Account to ask for, defaults to the active account
+   * @param {BrowserWindow} [window] - Window that asked for it
+   * @returns {Promise<Object>} - { success, message, scopes }
+   */
+  async requestScopes(scopes, accountId = this.tokenManager.getActiveAccountId(), window = null) {
+    // Scopes come from the renderer; each must be a single scope token (RFC 6749, section 3.3)
+    if (!Array.isArray(scopes) || !scopes.length ||
+        !scopes.every(scope => typeof scope === 'string' && /^[\x21\x23-\x5b\x5d-\x7e]+$/.test(scope))) {
+      return { success: false, message: 'Scopes must be a non-empty array of scope names' };
+    }
+
+    if (await this.tokenManager.getTokensForScopes(scopes, accountId)) {
+      return { success: true, message: 'Scopes already granted', scopes };
+    }
+
+    const tokens = await this.tokenManager.getTokens(accountId);
+    const { config } = this.getProvider(tokens ? tokens.provider : null);
+    const requestedScopes = Array.from(new Set([...config.scopes, ...scopes]));
+
+    const result = await this.authorizeAccount(accountId, {
+      description: `Consent for ${scopes.join(' ')}`,
+      window,
+      scopes: requestedScopes,
+      authParams: { include_granted_scopes: 'true' },
+      validation: {},
+      complete: async (newTokens) => {
+        const grant = await this.tokenManager.storeGrant(accountId, newTokens, requestedScopes);
+        const missing = scopes.filter(scope => !grant.granted_scopes.includes(scope));
+        if (missing.length) {
+          throw new Error(`Provider did not grant ${missing.join(' ')}`);
+        }
+      }
+    });
+
+    return { ...result, scopes };
+  }
+
+  /**
+   * Get an access token carrying the given scopes, asking for consent first if needed
+   * Main-process features use this instead of requesting every scope at login.
+   * @param {Object} options - { scopes, accountId }
+   * @returns {Promise<string|null>} - Access token, or null if not signed in or consent was refused
+   */
+  async getAccessToken({ scopes = [], accountId = this.tokenManager.getActiveAccountId() } = {}) {
+    const accessToken = await this.tokenManager.getValidAccessTokenForScopes(scopes, accountId);
+    if (accessToken || !scopes.length || !(await this.tokenManager.getTokens(accountId))) {
+      return accessToken;
+    }
+
+    const result = await this.requestScopes(scopes, accountId);
+    if (!result.success) {
+      console.warn(`Could not obtain a token for ${scopes.join(' ')}:`, result.message);
+      return null;
+    }
+
+    return this.tokenManager.getValidAccessTokenForScopes(scopes, accountId);
+  }
+
+  /**
+   * Run an authorization request in the browser for an already signed-in account
+   * Shared by step-up and incremental consent; the account's existing tokens
+   * are only changed by `complete` once the new ID token proved the same user.
+   * Several can be pending at once, each matched to its callback by state.
+   * @param {string} accountId - Account to authorize
+   * @param {Object} options - { description, window, scopes, authParams, validation, complete }
+   * @returns {Promise<Object>} - { success, message } once it completed or was abandoned
+   */
+  async authorizeAccount(accountId, { description, window = null, scopes, authParams, validation, complete }) {
+    const claims = await this.tokenManager.getIdTokenClaims(accountId);
+    if (!claims) {
+      return { success: false, message: `${description} needs an OpenID Connect sign-in` };
+    }
+
+    const tokens = await this.tokenManager.getTokens(accountId);
+    const provider = this.getProvider(tokens.provider);
+
+    let resolve;
+    const result = new Promise(settle => {
+      resolve = settle;
+    });
+
+    let request = null;
+    try {
+      console.log(`Starting ${description.toLowerCase()}...`);
+      this.audit('reauth-started', { accountId, provider: provider.config.name, purpose: description });
+      request = await this.createPendingAuthorization(provider, scopes, {
+        kind: 'account',
+        window,
+        accountId,
+        description,
+        validation: { ...validation, expectedSubject: claims.sub },
+        complete,
+        resolve
+      });
+      request.timer = setTimeout(() => {
+        this.finishAccountAuth(request, { success: false, message: `${description} was not completed` });
+      }, this.loginTimeout);
+
+      await this.openAuthorization(request, authParams);
+    } catch (error) {
+      console.error(`Error starting ${description.toLowerCase()}:`, error);
+      if (request) {
+        this.finishAccountAuth(request, { success: false, message: error.message });
+      } else {
+        resolve({ success: false, message: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Handle the callback of an account authorization (step-up or consent)
+   * Failures keep the account's existing tokens
+   * @param {Object} request - The pending request the callback belongs to
+   * @param {Object} params - Parsed callback parameters
+   */
+  async handleAccountAuthCallback(request, params) {
+    try {
+      console.log(`Processing ${request.description.toLowerCase()} callback...`);
+
+      if (params.error) {
+        throw new Error(`OAuth error: ${params.error} - ${params.error_description}`);
+      }
+
+      if (!params.code) {
+        throw new Error('No authorization code received');
+      }
+
+      // Same user, plus whatever the request asked for (auth_time, acr)
+      const { oauthPKCE } = this.getProvider(request.provider);
+      const tokens = await oauthPKCE.exchangeCodeForTokens(params.code, request, request.validation);
+      if (!tokens.id_token_claims) {
+        throw new Error('Provider did not return an ID token to verify the user');
+      }
+
+      if (request.settled) {
+        console.log(`${request.description} was cancelled during the token exchange, discarding tokens`);
+        return { success: false, error: 'Cancelled' };
+      }
+      await request.complete(tokens);
+
+      console.log(`${request.description} successful`);
+      this.finishAccountAuth(request, { success: true, message: `${request.description} completed` });
+      this.focusWindow(request.windowId);
+      return { success: true };
+    } catch (error) {
+      console.error(`${request.description} failed:`, error.message);
+      this.finishAccountAuth(request, { success: false, message: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Settle an account authorization request
+   * @private
+   */
+  finishAccountAuth(request, result) {
+    if (request.settled) return;
+
+    request.settled = true;
+    clearTimeout(request.timer);
+    this.discardPendingAuthorization(request);
+    this.audit(result.success ? 'reauth-succeeded' : 'reauth-failed', {
+      accountId: request.accountId,
+      provider: request.provider,
+      purpose: request.description,
+      reason: result.success ? undefined : result.message
+    });
+    request.resolve(result);
+  }
+
+  /**
+   * Bring a window back to the front after the browser part of a request
+   * @private
+   */
+  focusWindow(windowId) {
+    const window = windowId !== null ? BrowserWindow.fromId(windowId) : null;
+    if (window && !window.isDestroyed()) {
+      window.focus();
+    }
+  }
+
+  /**
+   * Handle OAuth callback from protocol or loopback listener
+   * The callback is matched to its pending request by state, and each state is
+   * accepted once. Unknown states (a stale tab, a cancelled login or a replay)
+   * are ignored without disturbing the requests still in progress.
+   */
+  async handleOAuthCallback(callbackUrl) {
+    let params;
+    try {
+      params = this.getProvider().oauthPKCE.parseCallback(callbackUrl);
+    } catch (error) {
+      console.error('OAuth callback error:', error.message);
+      this.audit('callback-rejected', { reason: error.message });
+      return { success: false, error: error.message };
+    }
+
+    const request = params.state ? this.pendingAuthorizations.consume(params.state) : null;
+    if (!request) {
+      console.warn('Ignoring callback with unknown or already used state');
+      this.audit('state-validation-failed', {
+        reason: params.state ? 'unknown or already used state' : 'missing state',
+        callbackError: params.error || undefined
+      });
+      this.notifyLoginState('ignored-callback', 'Ignored a login response that does not belong to a login in progress');
+      return { success: false, error: 'Invalid state parameter' };
+    }
+
+    if (request.kind === 'account') {
+      return this.handleAccountAuthCallback(request, params);
+    }
+
+    const { attempt } = request;
+
+    try {
+      console.log('Processing OAuth callback...');
+
+      if (params.error) {
+        throw new Error(`OAuth error: ${params.error} - ${params.error_description}`);
+      }
+
+      if (!params.code) {
+        throw new Error('No authorization code received');
+      }
+
+      // Exchange code for tokens (the ID token is validated during the exchange)
+      this.notifyLoginState('exchanging', 'Completing login...');
+      const tokens = await this.getProvider(request.provider).oauthPKCE.exchangeCodeForTokens(params.code, request);
+
+      if (this.loginAttempt !== attempt) {
+        console.log('Login was cancelled during the token exchange, discarding tokens');
+        return { success: false, error: 'Login cancelled' };
+      }
+      await this.completeLogin(tokens);
+
+      return { success: true };
+    } catch (error) {
+      console.error('OAuth callback error:', error);
+      this.abortLogin(attempt, 'failed', error.message);
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Store tokens from a successful login and move on to the main window
+   * Shared by the PKCE and device authorization flows
+   */
+  async completeLogin(tokens) {
+    const accountId = await this.tokenManager.storeTokens(tokens, this.loginProviderName, this.loginProvider.config.scopes);
+    this.audit('login-succeeded', {
+      accountId,
+      provider: this.loginProviderName,
+      flow: this.loginAttempt ? this.loginAttempt.kind : null
+    });
+
+    this.endLoginAttempt();
+    this.stateMachine.tryTransition('authenticated', { accountId, reason: 'login' });
+    console.log('OAuth login successful!');
+    this.notifyLoginState('succeeded', 'Login successful');
+
+    this.refreshScheduler.schedule(accountId).catch(error => {
+      console.error('Failed to schedule token refresh:', error.message);
+    });
+
+    // Notify UI
+    this.notifyAuthSuccess();
+    this.notifyAccountsChanged();
+
+    // Handle pending file if any
+    if (this.pendingFileToOpen) {
+      const file = this.pendingFileToOpen;
+      this.pendingFileToOpen = null;
+      this.openMainWindow(file, accountId);
+    } else {
+      this.openMainWindow(null, accountId);
+    }
+
+    // Close login window
+    if (this.loginWindow && !this.loginWindow.isDestroyed()) {
+      this.loginWindow.close();
+    }
+  }
+
+  /**
+   * Start device authorization login (RFC 8628) for sessions without a usable browser
+   * @param {string} [providerName] - Provider profile to log in with
+   */
+  async startDeviceLogin(providerName = null) {
+    if (this.loginAttempt) {
+      console.log('Login already in progress');
+      return { success: false, message: 'Login already in progress' };
+    }
+
+    this.loginProviderName = this.getProvider(providerName).config.name;
+    const attempt = this.beginLoginAttempt('device');
+
+    try {
+      const { config, oauthPKCE } = this.loginProvider;
+
+      const deviceData = await oauthPKCE.requestDeviceCode(config.scopes);
+      console.log('Device login started, waiting for user code entry...');
+
+      // The user may take as long as the device code is valid
+      this.armLoginTimeout(attempt, Math.max(this.loginTimeout, (deviceData.expires_in || 0) * 1000));
+
+      if (this.loginWindow && !this.loginWindow.isDestroyed()) {
+        this.loginWindow.webContents.send('auth:device-code', {
+          userCode: deviceData.user_code,
+          verificationUri: deviceData.verification_uri,
+          verificationUriComplete: deviceData.verification_uri_complete || null,
+          expiresIn: deviceData.expires_in
+        });
+      }
+
+      this.notifyLoginState('waiting', 'Waiting for the login on the other device');
+
+      // Poll in the background; the result is reported through the usual auth events
+      this.pollForDeviceTokens(deviceData, oauthPKCE, attempt);
+
+      return { success: true, message: 'Device code issued' };
+    } catch (error) {
+      console.error('Error starting device login:', error);
+      this.abortLogin(attempt, 'failed', error.message);
+      return { success: false, message: error.message };
+    }
   }
 
   /**
-   * Handle OAuth callback from protocol
+   * Poll the token endpoint until the device login completes, fails or expires
    */
-  async handleOAuthCallback(callbackUrl) {
-    if (this.authState !== 'authenticating') {
-      console.log('Received callback but not in authenticating state');
-      return;
-    }
+  async pollForDeviceTokens(deviceData, oauthPKCE, attempt) {
+    let interval = (deviceData.interval || 5) * 1000;
+    const expiresAt = Date.now() + (deviceData.expires_in || 600) * 1000;
 
     try {
-      console.log('Processing OAuth callback...');
-      
-      // Parse callback parameters
-      const params = this.oauthPKCE.parseCallback(callbackUrl);
-      
-      if (params.error) {
-        throw new Error(`OAuth error: ${params.error} - ${params.error_description}`);
-      }
-
-      if (!params.code) {
-        throw new Error('No authorization code received');
-      }
-
-      // Validate state to prevent CSRF
-      if (!this.oauthPKCE.validateState(params.state)) {
-        throw new Error('Invalid state parameter - possible CSRF attack');
-      }
+      while (Date.now() < expiresAt) {
+        await new Promise(resolve => setTimeout(resolve, interval));
 
-      // Exchange code for tokens
-      const tokens = await this.oauthPKCE.exchangeCodeForTokens(params.code);
-      await this.tokenManager.storeTokens(tokens);
+        if (this.loginAttempt !== attempt) {
+          return; // Cancelled, timed out or superseded by another login
+        }
 
-      this.authState = 'authenticated';
-      console.log('OAuth login successful!');
-
-      // Notify UI
-      this.notifyAuthSuccess();
-
-      // Handle pending file if any
-      if (this.pendingFileToOpen) {
-        const file = this.pendingFileToOpen;
-        this.pendingFileToOpen = null;
-        this.openMainWindow(file);
-      } else {
-        this.openMainWindow();
-      }
+        let result;
+        try {
+          result = await oauthPKCE.pollDeviceToken(deviceData.device_code);
+        } catch (error) {
+          if (!OAuthError.isTransient(error)) {
+            throw error;
+          }
+          // Offline, timed out or a 5xx/429 - keep polling until the code expires
+          console.warn('Device login poll failed, retrying:', error.message);
+          continue;
+        }
 
-      // Close login window
-      if (this.loginWindow && !this.loginWindow.isDestroyed()) {
-        this.loginWindow.close();
+        if (result.status === 'slow_down') {
+          interval += 5000; // RFC 8628, section 3.5
+        } else if (result.status === 'complete') {
+          if (this.loginAttempt === attempt) {
+            await this.completeLogin(result.tokens);
+          }
+          return;
+        }
       }
 
-      return { success: true };
+      throw new Error('Device code expired before login was completed');
     } catch (error) {
-      console.error('OAuth callback error:', error);
-      this.authState = 'unauthenticated';
-      
-      // Notify UI of error
-      this.notifyAuthError(error.message);
-      
-      return { success: false, error: error.message };
+      console.error('Device login error:', error);
+      this.abortLogin(attempt, 'failed', error.message);
     }
   }
 
@@ -218,19 +1332,61 @@ class AuthenticationManager {
   }
 
   /**
-   * Logout user
+   * Logout one account
+   * Tokens are queued for revocation before they are deleted locally, then revoked in
+   * the background, so a quit during a slow revocation leaves them queued for the next start
+   * @param {Object} options - { accountId, endSession, reason } - endSession also ends the provider's browser
+   *   session; reason (user, idle, screen-locked, suspend) goes to the audit log
    */
-  async logout() {
+  async logout({ accountId = this.tokenManager.getActiveAccountId(), endSession = null, reason = 'user' } = {}) {
     try {
-      await this.tokenManager.clearTokens();
-      this.authState = 'unauthenticated';
-      
-      // Close main window and show login window
-      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-        this.mainWindow.close();
+      const tokens = await this.tokenManager.getTokens(accountId);
+      const provider = this.getProvider(tokens ? tokens.provider : null);
+
+      if (endSession === null) {
+        endSession = provider.config.endSessionOnLogout;
+      }
+      this.audit('logout', { accountId, provider: provider.config.name, reason, endSession });
+
+      const grants = tokens ? await this.tokenManager.getGrantTokens(accountId) : [];
+      const tokenSets = tokens ? [tokens, ...grants.map(grant => grant.tokens)] : [];
+
+      // Queued first, so tokens deleted here are still revoked if the app quits right after
+      let revocations;
+      try {
+        revocations = await this.revocationQueue.enqueueTokens(tokenSets, provider.oauthPKCE);
+      } catch (error) {
+        console.error('Could not queue token revocation, revoking without the queue:', error.message);
+        revocations = this.revocationQueue.createEntries(tokenSets, provider.oauthPKCE);
+      }
+
+      // A slow or unreachable provider never keeps the user signed in
+      await this.tokenManager.clearTokens(accountId);
+      this.refreshScheduler.unschedule(accountId);
+
+      this.revokeInBackground(revocations, provider);
+
+      if (endSession) {
+        this.endProviderSession(tokens, provider);
+      }
+
+      // Close the windows that were using this account
+      for (const window of BrowserWindow.getAllWindows()) {
+        if (window === this.loginWindow) continue;
+        if (this.windowAccounts.get(window.webContents.id) === accountId ||
+            this.inspectorWindows.get(window.webContents.id) === accountId) {
+          window.close();
+        }
+      }
+
+      this.notifyAccountsChanged();
+
+      const remainingAccountId = this.tokenManager.getActiveAccountId();
+      if (!remainingAccountId) {
+        this.showLoginWindow();
+      } else if (!this.hasOpenMainWindow(accountId)) {
+        this.openMainWindow(null, remainingAccountId);
       }
-      
-      this.showLoginWindow();
       
       return { success: true };
     } catch (error) {
@@ -239,10 +1395,45 @@ class AuthenticationManager {
     }
   }
 
+  /**
+   * Revoke signed-out tokens at the provider without holding up the logout
+   * Revocations that fail stay queued and are retried later
+   * @param {Object[]} revocations - Entries queued before the tokens were cleared
+   * @param {Object} provider - Provider profile the tokens came from
+   */
+  revokeInBackground(revocations, provider) {
+    this.revocationQueue.revokeQueued(revocations, provider.oauthPKCE).catch(error => {
+      console.error('Token revocation error:', error.message);
+    });
+  }
+
+  /**
+   * Open the provider's end_session_endpoint so the browser session ends too
+   * @param {Object|null} tokens - Tokens that were just cleared, for id_token_hint
+   * @param {Object} provider - Provider profile the tokens came from
+   */
+  endProviderSession(tokens, provider) {
+    const logoutUrl = provider.oauthPKCE.buildEndSessionUrl({
+      idTokenHint: tokens ? tokens.id_token : null,
+      postLogoutRedirectUri: provider.config.postLogoutRedirectUri
+    });
+
+    if (!logoutUrl) {
+      console.log('Provider has no end_session_endpoint, skipping browser logout');
+      return;
+    }
+
+    console.log('Opening browser to end provider session...');
+    shell.openExternal(logoutUrl).catch(error => {
+      console.error('Failed to open provider logout page:', error.message);
+    });
+  }
+
   /**
    * Show login window
+   * @param {Object} options - { addAccount } when signing in an additional account
    */
-  showLoginWindow() {
+  showLoginWindow({ addAccount = false } = {}) {
     if (this.loginWindow && !this.loginWindow.isDestroyed()) {
       this.loginWindow.focus();
       return;
@@ -250,7 +1441,7 @@ class AuthenticationManager {
 
     this.loginWindow = new BrowserWindow({
       width: 400,
-      height: 500,
+      height: 620,
       webPreferences: {
         nodeIntegration: false,
         contextIsolation: true,
@@ -260,17 +1451,34 @@ class AuthenticationManager {
       title: 'Login Required'
     });
 
-    this.loginWindow.loadFile(path.join(__dirname, 'login.html'));
+    this.loginWindow.loadFile(path.join(__dirname, 'login.html'), {
+      query: addAccount ? { mode: 'add-account' } : {}
+    });
 
     this.loginWindow.on('closed', () => {
       this.loginWindow = null;
     });
   }
 
+  /**
+   * Check whether any main window stays open, ignoring windows of a closing account
+   * @param {string} [closingAccountId] - Account whose windows are being closed
+   */
+  hasOpenMainWindow(closingAccountId = null) {
+    return BrowserWindow.getAllWindows().some(window =>
+      window !== this.loginWindow &&
+      !window.isDestroyed() &&
+      this.windowAccounts.has(window.webContents.id) &&
+      this.windowAccounts.get(window.webContents.id) !== closingAccountId
+    );
+  }
+
   /**
    * Open main application window
+   * @param {string|null} filePath - .mydoc file to show
+   * @param {string} [accountId] - Account the window uses, defaults to the active account
    */
-  openMainWindow(filePath = null) {
+  openMainWindow(filePath = null, accountId = this.tokenManager.getActiveAccountId()) {
     // For multi-instance behavior, create new window for each file
     const mainWindow = new BrowserWindow({
       width: 1200,
@@ -283,10 +1491,15 @@ class AuthenticationManager {
       title: filePath ? `MyApp - ${path.basename(filePath)}` : 'MyApp'
     });
 
+    const webContentsId = mainWindow.webContents.id;
+    this.windowAccounts.set(webContentsId, accountId);
+
     mainWindow.loadFile(path.join(__dirname, 'main.html'));
 
     // Set up application menu
-    this.setupApplicationMenu(mainWindow);
+    this.setupApplicationMenu(mainWindow).catch(error => {
+      console.error('Failed to set up menu:', error.message);
+    });
 
     // Send file path to renderer if provided
     mainWindow.webContents.once('did-finish-load', () => {
@@ -301,6 +1514,7 @@ class AuthenticationManager {
     }
 
     mainWindow.on('closed', () => {
+      this.windowAccounts.delete(webContentsId);
       if (this.mainWindow === mainWindow) {
         this.mainWindow = null;
       }
@@ -309,10 +1523,71 @@ class AuthenticationManager {
     return mainWindow;
   }
 
+  /**
+   * Open the token inspector for an account, or focus the one already open
+   * @param {string} accountId - Account to inspect
+   * @returns {BrowserWindow|null} - Inspector window, or null outside --dev
+   */
+  openTokenInspector(accountId) {
+    if (!this.devMode || !accountId) return null;
+
+    for (const [webContentsId, inspectedAccountId] of this.inspectorWindows) {
+      const existing = BrowserWindow.getAllWindows().find(window => window.webContents.id === webContentsId);
+      if (existing && inspectedAccountId === accountId) {
+        existing.focus();
+        return existing;
+      }
+    }
+
+    const inspectorWindow = new BrowserWindow({
+      width: 720,
+      height: 800,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'preload.js')
+      },
+      title: 'Token Inspector'
+    });
+    inspectorWindow.setMenu(null);
+
+    const webContentsId = inspectorWindow.webContents.id;
+    this.inspectorWindows.set(webContentsId, accountId);
+    inspectorWindow.loadFile(path.join(__dirname, 'inspector.html'));
+
+    inspectorWindow.on('closed', () => {
+      this.inspectorWindows.delete(webContentsId);
+    });
+
+    return inspectorWindow;
+  }
+
+  /**
+   * Get the account an inspector window shows
+   * Other windows can't reach the inspector handlers
+   * @param {WebContents} webContents - Sender of the IPC call
+   * @returns {string} - Account ID
+   */
+  getInspectorAccountId(webContents) {
+    const accountId = this.inspectorWindows.get(webContents.id);
+    if (!accountId) {
+      throw new Error('Token inspector is only available to inspector windows');
+    }
+    return accountId;
+  }
+
   /**
    * Set up application menu
    */
-  setupApplicationMenu(targetWindow) {
+  async setupApplicationMenu(targetWindow) {
+    const accounts = await this.listAccounts(targetWindow.webContents);
+    if (targetWindow.isDestroyed()) return;
+
+    const currentAccount = accounts.find(account => account.current);
+    const accountProvider = this.getProvider(currentAccount ? currentAccount.provider : null);
+    const profile = currentAccount ? await this.tokenManager.getProfile(currentAccount.id) : null;
+    if (targetWindow.isDestroyed()) return;
+
     const template = [
       {
         label: 'File',
@@ -326,6 +1601,13 @@ class AuthenticationManager {
             }
           },
           { type: 'separator' },
+          {
+            label: 'Export Audit Log...',
+            click: async () => {
+              await this.promptAuditLogExport(targetWindow);
+            }
+          },
+          { type: 'separator' },
           {
             label: 'Quit',
             accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
@@ -340,11 +1622,19 @@ class AuthenticationManager {
         submenu: [
           {
             label: 'Update Something',
+            enabled: !this.stateMachine.is('stepping-up', 'locked'),
             click: async () => {
-              // Force fresh authentication for this action
-              const result = await this.startForcedLogin();
+              // Require fresh authentication for this action
+              const result = await this.unlessLocked(this.getWindowAccountId(targetWindow.webContents),
+                { success: false, message: 'Session is locked' }, (accountId) => this.startStepUp(accountId, targetWindow));
               if (result.success) {
                 targetWindow.webContents.send('action:update-something');
+              } else {
+                dialog.showMessageBox(targetWindow, {
+                  type: 'warning',
+                  message: 'Update Something was cancelled',
+                  detail: `Re-authentication did not complete: ${result.message}`
+                });
               }
             }
           }
@@ -353,10 +1643,44 @@ class AuthenticationManager {
       {
         label: 'Account',
         submenu: [
+          ...(profile ? [
+            {
+              label: `Signed in as ${profile.name || profile.email || profile.sub}`,
+              sublabel: profile.name && profile.email ? profile.email : undefined,
+              enabled: false
+            },
+            { type: 'separator' }
+          ] : []),
+          ...accounts.map(account => ({
+            label: account.label,
+            type: 'radio',
+            checked: account.current,
+            click: async () => {
+              await this.switchAccount(targetWindow, account.id);
+            }
+          })),
+          { type: 'separator' },
+          {
+            label: 'Add Account...',
+            click: async () => {
+              await this.addAccount();
+            }
+          },
+          { type: 'separator' },
           {
             label: 'Logout',
             click: async () => {
-              await this.logout();
+              await this.logout({ accountId: this.getWindowAccountId(targetWindow.webContents) });
+            }
+          },
+          {
+            label: 'Logout and End Browser Session',
+            enabled: Boolean(accountProvider.oauthPKCE.endSessionUrl),
+            click: async () => {
+              await this.logout({
+                accountId: this.getWindowAccountId(targetWindow.webContents),
+                endSession: true
+              });
             }
           }
         ]
@@ -380,10 +1704,79 @@ class AuthenticationManager {
       });
     }
 
+    if (this.devMode) {
+      template.push({
+        label: 'Developer',
+        submenu: [
+          {
+            label: 'Token Inspector',
+            click: () => {
+              this.openTokenInspector(this.getWindowAccountId(targetWindow.webContents));
+            }
+          },
+          { type: 'separator' },
+          { role: 'toggleDevTools' }
+        ]
+      });
+    }
+
     const menu = Menu.buildFromTemplate(template);
     targetWindow.setMenu(menu);
   }
 
+  /**
+   * Append an authentication event to the audit log
+   * The subject and issuer come from the account ID; token values are never passed in
+   * @param {string} event - Event name, e.g. login-started
+   * @param {Object} details - { accountId, provider, reason, ... }
+   */
+  audit(event, { accountId = null, ...details } = {}) {
+    const { issuer, subject } = TokenManager.parseAccountId(accountId);
+    this.auditLog.record(event, { accountId, subject, issuer, ...details }).catch(error => {
+      console.error('Failed to write audit log:', error.message);
+    });
+  }
+
+  /**
+   * Export the audit log to a file
+   * @param {string} targetPath - File to write
+   * @returns {Promise<Object>} - { entries, unkeyed, valid, error } - whether the hash chain is intact
+   */
+  async exportAuditLog(targetPath) {
+    const result = await this.auditLog.export(targetPath);
+    this.audit('audit-log-exported', { entries: result.entries, valid: result.valid });
+    if (!result.valid) {
+      console.warn('Audit log hash chain is broken:', result.error);
+    }
+    return result;
+  }
+
+  /**
+   * Ask where to export the audit log and report the result
+   * @private
+   */
+  async promptAuditLogExport(targetWindow) {
+    const { canceled, filePath } = await dialog.showSaveDialog(targetWindow, {
+      title: 'Export Audit Log',
+      defaultPath: `auth-audit-${new Date().toISOString().slice(0, 10)}.jsonl`,
+      filters: [{ name: 'Audit log', extensions: ['jsonl'] }]
+    });
+    if (canceled || !filePath) return;
+
+    try {
+      const result = await this.exportAuditLog(filePath);
+      dialog.showMessageBox(targetWindow, {
+        type: result.valid ? 'info' : 'warning',
+        message: `Exported ${result.entries} audit log entries`,
+        detail: result.valid
+          ? `The hash chain is intact.${result.unkeyed ? ` ${result.unkeyed} entries were written without the audit log key and are not authenticated.` : ''}`
+          : `Verification failed (${result.error}). Entries may have been altered or removed.`
+      });
+    } catch (error) {
+      dialog.showErrorBox('Export Audit Log', error.message);
+    }
+  }
+
   /**
    * Notify UI of successful authentication
    */
@@ -403,6 +1796,258 @@ class AuthenticationManager {
     });
   }
 
+  /**
+   * Send an account's session status (including its new expiry) to the windows using it
+   * @param {string} accountId - Account whose status changed
+   * @param {Object} status - { state, isAuthenticated, accountId, expiresAt, error }
+   */
+  notifyStatusChanged(accountId, status) {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (window === this.loginWindow || window.isDestroyed()) return;
+
+      if (this.getWindowAccountId(window.webContents) === accountId) {
+        window.webContents.send('auth:status-changed', status);
+      }
+    });
+  }
+
+  /**
+   * Notify the login window, and the windows of the account concerned, of a session state change
+   * @param {Object} entry - { from, to, accountId, reason, at } from the state machine
+   */
+  notifyStateChanged(entry) {
+    const change = { state: entry.to, previous: entry.from, reason: entry.reason, at: entry.at };
+
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (window.isDestroyed()) return;
+
+      if (window === this.loginWindow || (entry.accountId && this.windowAccounts.get(window.webContents.id) === entry.accountId)) {
+        window.webContents.send('auth:state-changed', change);
+      }
+    });
+  }
+
+  /**
+   * Rebuild the menus of all main windows
+   */
+  refreshMenus() {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (window.isDestroyed() || !this.windowAccounts.has(window.webContents.id)) return;
+
+      this.setupApplicationMenu(window).catch(error => {
+        console.error('Failed to rebuild menu:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Send an account's updated profile to the windows using it
+   * Account labels may change too, so menus and account lists are rebuilt
+   * @param {string} accountId - Account whose profile changed
+   * @param {Object} profile - New profile
+   */
+  notifyProfileChanged(accountId, profile) {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (window === this.loginWindow || window.isDestroyed()) return;
+
+      if (this.getWindowAccountId(window.webContents) === accountId) {
+        window.webContents.send('auth:profile-changed', profile);
+      }
+    });
+
+    this.notifyAccountsChanged();
+  }
+
+  /**
+   * Notify windows that the set of accounts or their assignment changed
+   * Rebuilds each main window's Account menu as well
+   */
+  notifyAccountsChanged() {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (window === this.loginWindow || window.isDestroyed()) return;
+
+      window.webContents.send('auth:accounts-changed');
+      this.setupApplicationMenu(window).catch(error => {
+        console.error('Failed to rebuild menu:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Current token for the spawned backends (the active account's)
+   * @returns {Promise<Object|null>} - { account_id, access_token, token_type, expires_at, scope } or null
+   */
+  async getBackendToken() {
+    const accountId = this.tokenManager.getActiveAccountId();
+    if (await this.isSessionLocked(accountId)) {
+      return null;
+    }
+
+    const accessToken = await this.tokenManager.getValidAccessToken(accountId);
+    if (!accessToken) {
+      return null;
+    }
+
+    const tokens = await this.tokenManager.getTokens(accountId);
+    const expiresAt = this.tokenManager.getOAuthClient(tokens).getExpiresAt(tokens);
+    const scopes = TokenManager.getGrantedScopes(tokens);
+    return {
+      account_id: accountId,
+      access_token: accessToken,
+      token_type: tokens.token_type && tokens.token_type.toLowerCase() === 'dpop' ? 'DPoP' : 'Bearer',
+      expires_at: expiresAt ? Math.floor(expiresAt / 1000) : null,
+      scope: scopes ? scopes.join(' ') : null
+    };
+  }
+
+  /**
+   * DPoP proof for a backend's upstream request with the current token
+   * The key never leaves this process; backends ask for a proof per request.
+   * @param {Object} request - { htm, htu, nonce } - method, URL and server nonce if any
+   * @returns {Promise<Object|null>} - { account_id, access_token, dpop } or null without a DPoP-bound token
+   */
+  async createBackendProof({ htm, htu, nonce }) {
+    const token = await this.getBackendToken();
+    if (!token || token.token_type !== 'DPoP') {
+      return null;
+    }
+
+    return {
+      account_id: token.account_id,
+      access_token: token.access_token,
+      dpop: await this.dpop.createProof(htm, htu, token.access_token, nonce)
+    };
+  }
+
+  /**
+   * React to new sign-in tokens of an account (login, refresh, step-up)
+   * @param {string} accountId - Account whose tokens changed
+   */
+  handleTokensChanged(accountId) {
+    this.publishBackendToken(accountId);
+
+    this.loadProfile(accountId).catch(error => {
+      console.error('Failed to update user profile:', error.message);
+    });
+  }
+
+  /**
+   * Follow a refresh of the active account
+   * @param {string} accountId - Account being refreshed
+   */
+  handleRefreshStart(accountId) {
+    if (accountId === this.tokenManager.getActiveAccountId()) {
+      this.stateMachine.tryTransition('refreshing', { accountId });
+    }
+  }
+
+  /**
+   * Record a finished refresh and settle the session state
+   * An unreachable provider leaves the session offline, a rejected grant expired
+   * @param {string} accountId - Account that was refreshed
+   * @param {Object} result - { success, attempts, transient, error, errorCode }
+   */
+  handleRefreshResult(accountId, result) {
+    this.audit(result.success ? 'refresh-succeeded' : 'refresh-failed', {
+      accountId,
+      attempts: result.attempts,
+      reason: result.success ? undefined : result.errorCode || result.error
+    });
+
+    if (!this.stateMachine.is('refreshing') || this.stateMachine.accountId !== accountId) return;
+
+    let state = 'authenticated';
+    if (!result.success && result.transient) {
+      state = 'offline';
+    } else if (!result.success && result.errorCode === 'invalid_grant') {
+      state = 'expired';
+    }
+    this.stateMachine.transition(state, { accountId, reason: result.success ? 'refreshed' : result.error });
+  }
+
+  /**
+   * Follow the background refresh status of the active account
+   * Only settles the session between authenticated, offline and expired; logins,
+   * refreshes, step-ups and locks in progress are left alone
+   * @param {string} accountId - Account the status is about
+   * @param {Object} status - Status from the refresh scheduler
+   */
+  handleScheduledStatus(accountId, status) {
+    if (accountId !== this.tokenManager.getActiveAccountId()) return;
+    if (!this.stateMachine.is('authenticated', 'offline', 'expired')) return;
+
+    if (['authenticated', 'offline', 'expired'].includes(status.state)) {
+      this.stateMachine.transition(status.state, { accountId, reason: status.error || null });
+    }
+  }
+
+  /**
+   * React to an account being signed out (logout, session policy or a rejected grant)
+   * @param {string} accountId - Account that was removed
+   */
+  handleAccountRemoved(accountId) {
+    this.audit('account-removed', { accountId });
+    this.notifyBackendsLoggedOut(accountId);
+
+    // A login in progress settles the state itself when it ends
+    if (this.stateMachine.is('authenticating')) return;
+
+    const activeAccountId = this.tokenManager.getActiveAccountId();
+    if (!activeAccountId) {
+      this.stateMachine.tryTransition('unauthenticated', { accountId, reason: 'signed out' });
+    } else if (this.stateMachine.accountId === accountId && this.stateMachine.is('expired', 'offline')) {
+      this.stateMachine.transition('authenticated', { accountId: activeAccountId, reason: 'switched to a remaining account' });
+    }
+  }
+
+  /**
+   * Tell the windows about a session state change and update what depends on it
+   * @param {Object} entry - { from, to, accountId, reason, at } from the state machine
+   */
+  handleStateTransition(entry) {
+    console.log(`Auth state: ${entry.from} -> ${entry.to}${entry.reason ? ` (${entry.reason})` : ''}`);
+    this.notifyStateChanged(entry);
+
+    // Actions that need a re-authentication are unavailable while one is running or the session is locked
+    if ([entry.from, entry.to].some(state => state === 'stepping-up' || state === 'locked')) {
+      this.refreshMenus();
+    }
+  }
+
+  /**
+   * Push new tokens to the backends if they belong to the active account
+   * @param {string} accountId - Account whose tokens changed
+   */
+  publishBackendToken(accountId) {
+    if (!this.tokenBroker || accountId !== this.tokenManager.getActiveAccountId()) return;
+
+    this.tokenBroker.publishToken().catch(error => {
+      console.error('Failed to push token to backends:', error.message);
+    });
+  }
+
+  /**
+   * Tell the backends an account signed out, then hand them the next active account's token
+   * @param {string} accountId - Account that was removed
+   */
+  notifyBackendsLoggedOut(accountId) {
+    if (!this.tokenBroker) return;
+
+    this.tokenBroker.publishLogout(accountId);
+    this.publishBackendToken(this.tokenManager.getActiveAccountId());
+  }
+
+  /**
+   * Report a login transition to the login window
+   * @param {string} state - started | waiting | exchanging | succeeded | failed | cancelled | timed-out | ignored-callback
+   * @param {string} message - Human-readable description
+   */
+  notifyLoginState(state, message) {
+    if (this.loginWindow && !this.loginWindow.isDestroyed()) {
+      this.loginWindow.webContents.send('auth:login-state', { state, message });
+    }
+  }
+
   /**
    * Notify UI of authentication error
    */
@@ -419,8 +2064,11 @@ class AuthenticationManager {
     const isAuthenticated = await this.tokenManager.isAuthenticated();
     
     if (isAuthenticated) {
-      // User is authenticated, open file in new window
-      this.openMainWindow(filePath);
+      // User is authenticated, open file in new window with the chosen account
+      const accountId = await this.chooseAccount(`Open ${path.basename(filePath)} with which account?`);
+      if (accountId) {
+        this.openMainWindow(filePath, accountId);
+      }
     } else {
       // User not authenticated, store file and show login
       this.pendingFileToOpen = filePath;
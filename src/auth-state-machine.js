@@ -0,0 +1,113 @@
+const { EventEmitter } = require('events');
+
+// State -> states it may move to. Anything else is refused.
+const TRANSITIONS = {
+  // authenticated/offline: a stored session restored at startup
+  'unauthenticated': ['authenticating', 'authenticated', 'offline'],
+  // An abandoned login returns to whatever state it started from
+  'authenticating': ['authenticated', 'unauthenticated', 'expired', 'offline'],
+  'authenticated': ['authenticating', 'refreshing', 'stepping-up', 'expired', 'offline', 'locked', 'unauthenticated'],
+  'refreshing': ['authenticated', 'offline', 'expired', 'locked', 'unauthenticated'],
+  // A failed step-up returns to whatever state it started from
+  'stepping-up': ['authenticated', 'offline', 'expired', 'locked', 'unauthenticated'],
+  'expired': ['authenticating', 'refreshing', 'stepping-up', 'authenticated', 'locked', 'unauthenticated'],
+  'offline': ['authenticating', 'refreshing', 'stepping-up', 'authenticated', 'expired', 'locked', 'unauthenticated'],
+  // Only re-authentication (or signing out) ends a lock
+  'locked': ['stepping-up', 'unauthenticated']
+};
+
+/**
+ * Authentication state of the session, with guarded transitions
+ * Emits 'transition' with { from, to, accountId, reason, at } for every change,
+ * and the same entry under the name of the new state (e.g. 'offline').
+ * Moving to the current state is a no-op; moving anywhere the table above does
+ * not allow throws, so callers racing with background work check can() first.
+ */
+class AuthStateMachine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.state = options.initialState || 'unauthenticated';
+    this.accountId = null; // account the current state is about
+    this.maxHistory = options.maxHistory || 100;
+    this.history = []; // past transitions, oldest first
+  }
+
+  /**
+   * All known states
+   * @returns {string[]}
+   */
+  static get states() {
+    return Object.keys(TRANSITIONS);
+  }
+
+  /**
+   * Whether the machine is in one of the given states
+   * @param {...string} states
+   * @returns {boolean}
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Whether moving to a state is allowed from the current one (or already there)
+   * @param {string} to - Target state
+   * @returns {boolean}
+   */
+  can(to) {
+    return to === this.state || TRANSITIONS[this.state].includes(to);
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} to - Target state
+   * @param {Object} context - { accountId, reason } recorded with the transition
+   * @returns {boolean} - False if the machine was already in that state
+   * @throws {Error} - When the transition is not allowed
+   */
+  transition(to, { accountId = null, reason = null } = {}) {
+    if (!TRANSITIONS[to]) {
+      throw new Error(`Unknown auth state "${to}"`);
+    }
+    if (to === this.state) {
+      return false;
+    }
+    if (!this.can(to)) {
+      throw new Error(`Invalid auth state transition: ${this.state} -> ${to}`);
+    }
+
+    const entry = { from: this.state, to, accountId, reason, at: Date.now() };
+    this.state = to;
+    this.accountId = accountId;
+
+    this.history.push(entry);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    this.emit('transition', entry);
+    this.emit(to, entry);
+    return true;
+  }
+
+  /**
+   * Move to a new state if that is allowed, otherwise stay
+   * For updates from background work (refreshes, scheduler) that may arrive in any state
+   * @param {string} to - Target state
+   * @param {Object} context - { accountId, reason }
+   * @returns {boolean} - True if the state changed
+   */
+  tryTransition(to, context = {}) {
+    return this.can(to) && this.transition(to, context);
+  }
+
+  /**
+   * Past transitions, oldest first
+   * @returns {Object[]} - [{ from, to, accountId, reason, at }]
+   */
+  getHistory() {
+    return this.history.slice();
+  }
+}
+
+module.exports = AuthStateMachine;
@@ -7,9 +7,13 @@ const fs = require('fs');
  * No race conditions, no file locking, no port conflicts!
  */
 class BackendManager {
-  constructor() {
+  /**
+   * @param {Object} options - { tokenBroker } - gives each backend access to the user's token
+   */
+  constructor(options = {}) {
     this.processes = [];
     this.ports = {};
+    this.tokenBroker = options.tokenBroker || null;
   }
 
   /**
@@ -74,9 +78,11 @@ class BackendManager {
       console.log(`Starting ${name}...`);
 
       // Prepare environment variables
+      // AUTH_BROKER_URL/AUTH_BROKER_SECRET let the backend fetch the signed-in user's token
       const env = {
         ...process.env,
         ...additionalEnvVars,
+        ...(this.tokenBroker ? this.tokenBroker.registerBackend(name) : {}),
         // Standard ASP.NET Core environment variables
         ASPNETCORE_ENVIRONMENT: 'Production',
         DOTNET_ENVIRONMENT: 'Production',
@@ -84,7 +90,11 @@ class BackendManager {
         ASPNETCORE_URLS: 'http://localhost:0'  // Port 0 = OS assigns available port
       };
 
-      console.log(`[${name}] Environment variables:`, { ...additionalEnvVars, ASPNETCORE_URLS: env.ASPNETCORE_URLS });
+      console.log(`[${name}] Environment variables:`, {
+        ...additionalEnvVars,
+        ASPNETCORE_URLS: env.ASPNETCORE_URLS,
+        AUTH_BROKER_URL: env.AUTH_BROKER_URL
+      });
 
       // Start process without --urls argument (will use ASPNETCORE_URLS env var)
       const process = spawn(executablePath, [], {
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { JWS_ALGORITHMS } = require('./id-token-validator');
+
+const AUTH_METHODS = ['none', 'client_secret_basic', 'client_secret_post', 'private_key_jwt'];
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// JWS algorithm for a private key, by key type (and curve for EC keys)
+const EC_ALGORITHMS = { 'prime256v1': 'ES256', 'secp384r1': 'ES384', 'secp521r1': 'ES512' };
+
+/**
+ * Pick the JWS algorithm for a private key
+ * @param {KeyObject} key - Private key
+ * @returns {string} - e.g. RS256, ES256, EdDSA
+ */
+function getSigningAlgorithm(key) {
+  switch (key.asymmetricKeyType) {
+    case 'rsa':
+      return 'RS256';
+    case 'ec':
+      return EC_ALGORITHMS[key.asymmetricKeyDetails.namedCurve];
+    case 'ed25519':
+      return 'EdDSA';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Encode a value as application/x-www-form-urlencoded does (spaces as +)
+ * @param {string} value
+ * @returns {string}
+ */
+function formEncode(value) {
+  return new URLSearchParams({ value }).toString().slice('value='.length);
+}
+
+/**
+ * Create a compact JWS
+ * @param {Object} header - JOSE header; alg must be one of JWS_ALGORITHMS
+ * @param {Object} payload - Claims
+ * @param {KeyObject} key - Private key
+ * @returns {string}
+ */
+function signJwt(header, payload, key) {
+  const algorithm = JWS_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported signing algorithm: ${header.alg}`);
+  }
+
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+
+  const signOptions = { key };
+  if (algorithm.padding) {
+    signOptions.padding = algorithm.padding;
+    signOptions.saltLength = algorithm.saltLength;
+  }
+  if (algorithm.dsaEncoding) {
+    signOptions.dsaEncoding = algorithm.dsaEncoding;
+  }
+
+  const signature = crypto.sign(algorithm.hash, Buffer.from(signingInput), signOptions);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Client authentication at the token endpoint (RFC 6749 section 2.3, RFC 7523)
+ * Applied to every request to the authorization server that identifies the client:
+ * code exchange, refresh, device authorization and polling, and revocation.
+ *   none                - client_id in the body (public client, the default)
+ *   client_secret_basic - HTTP Basic with the client ID and secret
+ *   client_secret_post  - client_secret in the body
+ *   private_key_jwt     - a short-lived JWT signed with a locally stored private key
+ */
+class ClientAuthentication {
+  constructor(options = {}) {
+    this.method = options.method || 'none';
+    if (!AUTH_METHODS.includes(this.method)) {
+      throw new Error(`Unsupported token endpoint auth method "${this.method}" (use ${AUTH_METHODS.join(', ')})`);
+    }
+
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret || null;
+    this.privateKeyFile = options.privateKeyFile || null;
+    this.keyId = options.keyId || null;
+    this.signingAlgorithm = options.signingAlgorithm || null;
+    this.assertionLifetime = options.assertionLifetime || 60; // seconds
+    this.privateKey = null;
+
+    if (this.method.startsWith('client_secret_') && !this.clientSecret) {
+      throw new Error(`Token endpoint auth method ${this.method} requires a client secret`);
+    }
+    if (this.method === 'private_key_jwt' && !this.privateKeyFile) {
+      throw new Error('Token endpoint auth method private_key_jwt requires a private key file');
+    }
+  }
+
+  /**
+   * Add the client's credentials to a request
+   * @param {string} audience - Client assertion audience: the authorization server's
+   *   issuer, or its token endpoint if the issuer is unknown
+   * @param {Object} params - Form parameters without client credentials
+   * @returns {Object} - { headers, params } to send
+   */
+  apply(audience, params) {
+    switch (this.method) {
+      case 'client_secret_basic': {
+        // RFC 6749 section 2.3.1: both parts form-encoded before base64
+        const credentials = `${formEncode(this.clientId)}:${formEncode(this.clientSecret)}`;
+        return {
+          headers: { 'Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` },
+          params
+        };
+      }
+
+      case 'client_secret_post':
+        return {
+          headers: {},
+          params: { ...params, client_id: this.clientId, client_secret: this.clientSecret }
+        };
+
+      case 'private_key_jwt':
+        return {
+          headers: {},
+          params: {
+            ...params,
+            client_id: this.clientId,
+            client_assertion_type: CLIENT_ASSERTION_TYPE,
+            client_assertion: this.createClientAssertion(audience)
+          }
+        };
+
+      default:
+        return { headers: {}, params: { ...params, client_id: this.clientId } };
+    }
+  }
+
+  /**
+   * Sign a client assertion for one request (RFC 7523 section 3)
+   * @private
+   */
+  createClientAssertion(audience) {
+    const key = this.loadPrivateKey();
+    const alg = this.signingAlgorithm || getSigningAlgorithm(key);
+    const now = Math.floor(Date.now() / 1000);
+
+    const header = { alg, typ: 'JWT' };
+    if (this.keyId) {
+      header.kid = this.keyId;
+    }
+
+    return signJwt(header, {
+      iss: this.clientId,
+      sub: this.clientId,
+      aud: audience,
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + this.assertionLifetime
+    }, key);
+  }
+
+  /**
+   * Read the PEM private key on first use
+   * @private
+   */
+  loadPrivateKey() {
+    if (this.privateKey) {
+      return this.privateKey;
+    }
+
+    try {
+      this.privateKey = crypto.createPrivateKey(fs.readFileSync(this.privateKeyFile));
+    } catch (error) {
+      throw new Error(`Failed to load client private key: ${error.message}`);
+    }
+
+    if (!this.signingAlgorithm && !getSigningAlgorithm(this.privateKey)) {
+      throw new Error(`Unsupported client private key type: ${this.privateKey.asymmetricKeyType}`);
+    }
+    return this.privateKey;
+  }
+}
+
+module.exports = {
+  ClientAuthentication,
+  AUTH_METHODS,
+  signJwt,
+  getSigningAlgorithm
+};
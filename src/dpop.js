@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { signJwt } = require('./client-authentication');
+
+/**
+ * DPoP proofs for sender-constrained tokens (RFC 9449)
+ * One P-256 key pair per installation, kept in its own safeStorage-encrypted file
+ * outside the token store. Tokens issued with DPoP carry the key's thumbprint (dpop_jkt)
+ * and are only accepted together with a proof signed by that key, so a token copied
+ * out of the store is of no use on its own. Server nonces (DPoP-Nonce) are remembered per origin.
+ */
+class DPoP {
+  /**
+   * @param {ProtectedFile} keyFile - Holds the private key as a JWK
+   */
+  constructor(keyFile) {
+    this.keyFile = keyFile;
+    this.key = null; // { privateKey, publicJwk, thumbprint } once loaded
+    this.loading = null;
+    this.nonces = new Map(); // origin -> last DPoP-Nonce
+  }
+
+  /**
+   * Load the installation's key pair, generating it on first use
+   * @returns {Promise<Object>} - { privateKey, publicJwk, thumbprint }
+   */
+  async getKey() {
+    if (this.key) {
+      return this.key;
+    }
+    if (!this.loading) {
+      this.loading = this.loadKey().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @private
+   */
+  async loadKey() {
+    // A key that exists but can't be read is an error, never a reason to replace it:
+    // every token bound to it would be lost
+    const stored = this.keyFile.readOrCreate(() => {
+      console.log('Generating DPoP key pair for this installation...');
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      return JSON.stringify(privateKey.export({ format: 'jwk' }));
+    });
+
+    let privateKey;
+    try {
+      privateKey = crypto.createPrivateKey({ key: JSON.parse(stored), format: 'jwk' });
+    } catch (error) {
+      throw new Error(`Failed to load DPoP key: ${error.message}`);
+    }
+    const { kty, crv, x, y } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+    const publicJwk = { kty, crv, x, y };
+
+    this.key = { privateKey, publicJwk, thumbprint: DPoP.thumbprint(publicJwk) };
+    return this.key;
+  }
+
+  /**
+   * Thumbprint of the installation's public key (the value tokens are bound to)
+   * @returns {Promise<string>}
+   */
+  async getThumbprint() {
+    return (await this.getKey()).thumbprint;
+  }
+
+  /**
+   * Create a proof for one request
+   * @param {string} method - HTTP method
+   * @param {string|URL} url - Request URL
+   * @param {string} [accessToken] - Access token sent with the request (resource requests)
+   * @param {string} [nonce] - Server nonce to use instead of the one remembered for the origin
+   * @returns {Promise<string>} - Value of the DPoP header
+   */
+  async createProof(method, url, accessToken = null, nonce = null) {
+    const { privateKey, publicJwk } = await this.getKey();
+    const target = new URL(url);
+
+    const payload = {
+      jti: crypto.randomUUID(),
+      htm: method.toUpperCase(),
+      htu: `${target.origin}${target.pathname}`, // without query and fragment
+      iat: Math.floor(Date.now() / 1000)
+    };
+
+    const serverNonce = nonce || this.nonces.get(target.origin);
+    if (serverNonce) {
+      payload.nonce = serverNonce;
+    }
+    if (accessToken) {
+      payload.ath = crypto.createHash('sha256').update(accessToken).digest('base64url');
+    }
+
+    return signJwt({ typ: 'dpop+jwt', alg: 'ES256', jwk: publicJwk }, payload, privateKey);
+  }
+
+  /**
+   * Remember the nonce a server sent for later proofs
+   * @param {string|URL} url - Request URL
+   * @param {Response} response - fetch response
+   */
+  rememberNonce(url, response) {
+    const nonce = response.headers.get('dpop-nonce');
+    if (nonce) {
+      this.nonces.set(new URL(url).origin, nonce);
+    }
+  }
+
+  /**
+   * Whether a server rejected a proof because it needs (a fresh) nonce
+   * Authorization servers answer 400 use_dpop_nonce, resource servers 401 with
+   * WWW-Authenticate: DPoP error="use_dpop_nonce"
+   * @param {Response} response - fetch response
+   * @returns {Promise<boolean>}
+   */
+  static async isNonceChallenge(response) {
+    if (!response.headers.get('dpop-nonce')) {
+      return false;
+    }
+
+    if (response.status === 401) {
+      return /use_dpop_nonce/.test(response.headers.get('www-authenticate') || '');
+    }
+
+    if (response.status === 400) {
+      const data = await response.clone().json().catch(() => ({}));
+      return data.error === 'use_dpop_nonce';
+    }
+
+    return false;
+  }
+
+  /**
+   * JWK thumbprint (RFC 7638) of an EC public key
+   * @param {Object} jwk - { kty, crv, x, y }
+   * @returns {string} - base64url SHA-256 thumbprint
+   */
+  static thumbprint(jwk) {
+    // Required members only, in lexicographic order
+    const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+    return crypto.createHash('sha256').update(canonical).digest('base64url');
+  }
+}
+
+module.exports = DPoP;
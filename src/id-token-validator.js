@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+
+// JWS algorithms we accept and sign with, mapped to Node crypto sign/verify settings
+const JWS_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null }
+};
+
+/**
+ * Decode a JWT without verifying it
+ * @param {string} token - Compact-serialized JWT
+ * @returns {Object} - { header, payload, signingInput, signature }
+ */
+function decodeJwt(token) {
+  if (typeof token !== 'string') {
+    throw new Error('Token is not a string');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Token is not a compact JWS');
+  }
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch (error) {
+    throw new Error(`Malformed token: ${error.message}`);
+  }
+}
+
+/**
+ * ID token validator (OpenID Connect Core 1.0, section 3.1.3.7)
+ * Verifies signatures against the provider JWKS and checks the standard claims
+ */
+class IdTokenValidator {
+  constructor(options = {}) {
+    this.issuer = options.issuer;
+    this.clientId = options.clientId;
+    this.jwksUri = options.jwksUri;
+    this.clockSkew = options.clockSkew ?? 120; // seconds
+    this.maxTokenAge = options.maxTokenAge ?? 60 * 60; // seconds since iat
+    this.jwksCacheTtl = options.jwksCacheTtl || 60 * 60 * 1000; // 1 hour
+    this.jwksMinRefetchInterval = options.jwksMinRefetchInterval ?? 30 * 1000; // 30 seconds
+    this.timeout = options.timeout || 10 * 1000; // JWKS request timeout
+
+    this.keys = [];
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Validate an ID token and return its claims
+   * @param {string} idToken - The ID token from the token response
+   * @param {Object} options - { nonce, expectedSubject, maxAge, authenticatedAfter, acrValues }
+   * @returns {Promise<Object>} - Validated claims
+   */
+  async validate(idToken, { nonce = null, expectedSubject = null, maxAge = null, authenticatedAfter = null, acrValues = null } = {}) {
+    if (!this.issuer || !this.jwksUri) {
+      throw new Error('ID token validation requires an issuer and a JWKS URI (set OAUTH_ISSUER; OAUTH_JWKS_URI is only needed if discovery fails)');
+    }
+
+    const { header, payload, signingInput, signature } = decodeJwt(idToken);
+
+    await this.verifySignature(header, signingInput, signature);
+    this.validateClaims(payload, { nonce, expectedSubject, maxAge, authenticatedAfter, acrValues });
+
+    return payload;
+  }
+
+  /**
+   * Verify the JWS signature with the matching provider key
+   * @private
+   */
+  async verifySignature(header, signingInput, signature) {
+    const algorithm = JWS_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+    }
+
+    const jwk = await this.getSigningKey(header);
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (error) {
+      throw new Error(`Unusable signing key ${jwk.kid || ''}: ${error.message}`);
+    }
+
+    const verifyOptions = { key };
+    if (algorithm.padding) {
+      verifyOptions.padding = algorithm.padding;
+      verifyOptions.saltLength = algorithm.saltLength;
+    }
+    if (algorithm.dsaEncoding) {
+      verifyOptions.dsaEncoding = algorithm.dsaEncoding;
+    }
+
+    const valid = crypto.verify(algorithm.hash, Buffer.from(signingInput), verifyOptions, signature);
+    if (!valid) {
+      throw new Error('ID token signature is invalid');
+    }
+  }
+
+  /**
+   * Check iss, aud, azp, exp, iat, sub, nonce and, when requested, auth_time and acr
+   * @private
+   */
+  validateClaims(claims, { nonce, expectedSubject, maxAge = null, authenticatedAfter = null, acrValues = null }) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.iss !== this.issuer) {
+      throw new Error(`ID token issuer mismatch: expected ${this.issuer}, got ${claims.iss}`);
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(this.clientId)) {
+      throw new Error('ID token audience does not include this client');
+    }
+
+    if ((audiences.length > 1 || claims.azp !== undefined) && claims.azp !== this.clientId) {
+      throw new Error('ID token authorized party does not match this client');
+    }
+
+    if (typeof claims.exp !== 'number' || now > claims.exp + this.clockSkew) {
+      throw new Error('ID token has expired');
+    }
+
+    if (typeof claims.iat !== 'number') {
+      throw new Error('ID token has no issued-at time');
+    }
+    if (claims.iat > now + this.clockSkew) {
+      throw new Error('ID token was issued in the future');
+    }
+    if (now - claims.iat > this.maxTokenAge + this.clockSkew) {
+      throw new Error('ID token is too old');
+    }
+
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+    if (expectedSubject && claims.sub !== expectedSubject) {
+      throw new Error('ID token subject does not match the signed-in user');
+    }
+
+    if (nonce !== null && claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch - possible replay');
+    }
+
+    // Step-up authentication: the user must have authenticated recently enough
+    if (maxAge !== null || authenticatedAfter !== null) {
+      if (typeof claims.auth_time !== 'number') {
+        throw new Error('ID token has no auth_time');
+      }
+      if (maxAge !== null && now - claims.auth_time > maxAge + this.clockSkew) {
+        throw new Error('Authentication is older than the requested max_age');
+      }
+      if (authenticatedAfter !== null && claims.auth_time < authenticatedAfter - this.clockSkew) {
+        throw new Error('User did not re-authenticate');
+      }
+    }
+
+    if (acrValues && acrValues.length && !acrValues.includes(claims.acr)) {
+      throw new Error(`Authentication context ${claims.acr || '(none)'} does not satisfy ${acrValues.join(' ')}`);
+    }
+  }
+
+  /**
+   * Find the JWK for a token header, refetching the JWKS on unknown key IDs
+   * @private
+   */
+  async getSigningKey(header) {
+    if (!this.keys.length || Date.now() - this.keysFetchedAt > this.jwksCacheTtl) {
+      await this.fetchKeys();
+    }
+
+    let jwk = this.findKey(header);
+
+    // Unknown key ID usually means the provider rotated its keys
+    if (!jwk && Date.now() - this.keysFetchedAt > this.jwksMinRefetchInterval) {
+      console.log('ID token signed with unknown key, refreshing JWKS...');
+      await this.fetchKeys();
+      jwk = this.findKey(header);
+    }
+
+    if (!jwk) {
+      throw new Error(`No matching signing key found for kid ${header.kid}`);
+    }
+
+    return jwk;
+  }
+
+  /**
+   * Pick a key from the cached JWKS
+   * @private
+   */
+  findKey(header) {
+    const candidates = this.keys.filter(jwk =>
+      (!jwk.use || jwk.use === 'sig') &&
+      (!jwk.alg || jwk.alg === header.alg)
+    );
+
+    if (header.kid) {
+      return candidates.find(jwk => jwk.kid === header.kid) || null;
+    }
+
+    // Without a kid the choice is only unambiguous with a single candidate
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Fetch the provider JWKS
+   * @private
+   */
+  async fetchKeys() {
+    try {
+      const response = await fetch(this.jwksUri, {
+        headers: { 'Accept': 'application/json' },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const jwks = await response.json();
+      if (!Array.isArray(jwks.keys)) {
+        throw new Error('JWKS has no keys array');
+      }
+
+      this.keys = jwks.keys;
+      this.keysFetchedAt = Date.now();
+    } catch (error) {
+      throw new Error(`Failed to fetch JWKS: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+module.exports = {
+  IdTokenValidator,
+  decodeJwt,
+  JWS_ALGORITHMS
+};
@@ -0,0 +1,151 @@
+const http = require('http');
+
+const RESPONSE_PAGE = (title, message) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      min-height: 100vh;
+      margin: 0;
+      background: #f5f5f5;
+      color: #333;
+    }
+    .card {
+      background: white;
+      border-radius: 12px;
+      padding: 40px;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+      text-align: center;
+    }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${title}</h1>
+    <p>${message}</p>
+  </div>
+</body>
+</html>`;
+
+/**
+ * One-shot loopback HTTP listener for OAuth redirects (RFC 8252, section 7.3)
+ * Receives a single callback on http://127.0.0.1:<ephemeral>/callback
+ */
+class LoopbackServer {
+  constructor(options = {}) {
+    this.host = '127.0.0.1';
+    this.callbackPath = options.callbackPath || '/callback';
+    this.timeout = options.timeout || 5 * 60 * 1000; // 5 minutes
+    this.server = null;
+    this.port = null;
+    this.timer = null;
+    this.callbackPromise = null;
+    this.rejectCallback = null;
+  }
+
+  /**
+   * Redirect URI to register with the authorization request
+   * @returns {string}
+   */
+  get redirectUri() {
+    return `http://${this.host}:${this.port}${this.callbackPath}`;
+  }
+
+  /**
+   * Start listening on an OS-assigned port
+   * @returns {Promise<string>} - The redirect URI
+   */
+  async start() {
+    if (this.server) {
+      return this.redirectUri;
+    }
+
+    let resolveCallback;
+    this.callbackPromise = new Promise((resolve, reject) => {
+      resolveCallback = resolve;
+      this.rejectCallback = reject;
+    });
+    // Avoid unhandled rejections if nobody is waiting yet
+    this.callbackPromise.catch(() => {});
+
+    this.server = http.createServer((req, res) => {
+      const url = new URL(req.url, `http://${this.host}:${this.port}`);
+
+      if (req.method !== 'GET' || url.pathname !== this.callbackPath) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+      }
+
+      const failed = url.searchParams.has('error');
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(failed
+        ? RESPONSE_PAGE('Login failed', 'You can close this tab and return to the application.')
+        : RESPONSE_PAGE('Login complete', 'You can close this tab and return to the application.'));
+
+      resolveCallback(url.toString());
+      this.close();
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.server.address().port;
+
+    this.timer = setTimeout(() => {
+      this.rejectCallback(new Error('Timed out waiting for the login callback'));
+      this.close();
+    }, this.timeout);
+
+    console.log(`Loopback redirect listener started on ${this.redirectUri}`);
+    return this.redirectUri;
+  }
+
+  /**
+   * Wait for the browser to hit the callback URL
+   * @returns {Promise<string>} - Full callback URL including query parameters
+   */
+  waitForCallback() {
+    if (!this.callbackPromise) {
+      return Promise.reject(new Error('Loopback listener not started'));
+    }
+    return this.callbackPromise;
+  }
+
+  /**
+   * Stop listening; a pending waitForCallback() is rejected
+   */
+  close() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.rejectCallback) {
+      this.rejectCallback(new Error('Loopback listener closed'));
+      this.rejectCallback = null;
+    }
+
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      // Let the response page flush before dropping keep-alive sockets
+      server.close();
+      setImmediate(() => server.closeAllConnections());
+      console.log('Loopback redirect listener stopped');
+    }
+  }
+}
+
+module.exports = LoopbackServer;
@@ -2,11 +2,13 @@ const { app, protocol } = require('electron');
 const path = require('path');
 const AuthenticationManager = require('./auth-manager');
 const BackendManager = require('./backend-manager');
+const TokenBroker = require('./token-broker');
 
 // Prevent multiple instances on Windows/Linux for the same file
 // But allow multiple instances for different files
 let authManager;
 let backendManager;
+let tokenBroker;
 let launchedWithFile = null;
 
 // Handle file associations and protocol on startup
@@ -93,12 +95,16 @@ function setupAppEventHandlers() {
     console.log('App is ready');
     
     try {
+      // Local channel the backends use to get the signed-in user's token
+      tokenBroker = new TokenBroker();
+      await tokenBroker.start();
+
       // Start .NET backends with OS-assigned ports (no conflicts!)
-      backendManager = new BackendManager();
+      backendManager = new BackendManager({ tokenBroker });
       const ports = await backendManager.startBackends();
       
       // Initialize authentication manager with backend ports
-      authManager = new AuthenticationManager();
+      authManager = new AuthenticationManager({ tokenBroker, devMode: process.argv.includes('--dev') });
       
       // Store ports for later use
       authManager.backendPorts = ports;
@@ -115,8 +121,8 @@ function setupAppEventHandlers() {
         // App was launched with a file
         console.log('Handling file open on startup:', launchedWithFile);
         await authManager.handleFileOpen(launchedWithFile);
-      } else if (authState === 'authenticated') {
-        // User is already authenticated, show main window
+      } else if (authState !== 'unauthenticated') {
+        // User is already authenticated (possibly offline), show main window
         authManager.openMainWindow();
       } else {
         // User needs to authenticate, show login window
@@ -183,6 +189,10 @@ function setupAppEventHandlers() {
 
   // Handle before-quit to clean up
   app.on('before-quit', async (event) => {
+    if (tokenBroker) {
+      tokenBroker.close();
+    }
+
     if (backendManager) {
       console.log('Shutting down backends...');
       event.preventDefault();
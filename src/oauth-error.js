@@ -0,0 +1,101 @@
+// Error codes meaning the grant itself was rejected; retrying the same token can't succeed
+const GRANT_ERRORS = new Set(['invalid_grant']);
+
+// Error codes and HTTP statuses worth retrying (RFC 6749 section 4.1.2.1, RFC 6585)
+const TRANSIENT_ERRORS = new Set(['temporarily_unavailable', 'server_error']);
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Node fetch failures (errors wrapped as "fetch failed") and request timeouts
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ENETUNREACH',
+  'EHOSTUNREACH', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+/**
+ * Failure of a request to the authorization server
+ * Keeps the OAuth error code and HTTP status so callers can tell a rejected grant
+ * (sign in again) from a network or server problem (keep the tokens, retry later).
+ */
+class OAuthError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'OAuthError';
+    this.errorCode = details.errorCode || null; // OAuth "error" value, e.g. invalid_grant
+    this.errorDescription = details.errorDescription || null;
+    this.status = details.status || null; // HTTP status, null for network failures
+    this.transient = details.transient || false;
+  }
+
+  /**
+   * Build an error from a failed token endpoint response
+   * @param {Response} response - fetch response that was not ok
+   * @param {string} prefix - Message prefix, e.g. 'Token refresh failed'
+   * @returns {Promise<OAuthError>}
+   */
+  static async fromResponse(response, prefix) {
+    const text = await response.text().catch(() => '');
+
+    let data = {};
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not an OAuth error response (e.g. an HTML error page from a proxy)
+    }
+
+    const errorCode = typeof data.error === 'string' ? data.error : null;
+    return new OAuthError(`${prefix}: ${response.status} ${text}`, {
+      errorCode,
+      errorDescription: typeof data.error_description === 'string' ? data.error_description : null,
+      status: response.status,
+      transient: TRANSIENT_STATUSES.has(response.status) || TRANSIENT_ERRORS.has(errorCode)
+    });
+  }
+
+  /**
+   * Add context to an error while keeping its classification
+   * Errors that are not OAuthErrors are classified here (network failures are transient)
+   * @param {Error} error - Caught error
+   * @param {string} prefix - Message prefix, e.g. 'Token refresh error'
+   * @returns {OAuthError}
+   */
+  static wrap(error, prefix) {
+    if (error instanceof OAuthError) {
+      return new OAuthError(`${prefix}: ${error.message}`, error);
+    }
+    return new OAuthError(`${prefix}: ${error.message}`, { transient: OAuthError.isNetworkError(error) });
+  }
+
+  /**
+   * Whether the server rejected the grant (refresh token expired, revoked or reused)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isInvalidGrant(error) {
+    return error instanceof OAuthError && GRANT_ERRORS.has(error.errorCode);
+  }
+
+  /**
+   * Whether the request may succeed if repeated later (offline, timeout, 5xx, 429)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isTransient(error) {
+    return error instanceof OAuthError ? error.transient : OAuthError.isNetworkError(error);
+  }
+
+  /**
+   * @private
+   */
+  static isNetworkError(error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError' || NETWORK_ERROR_CODES.has(error.code)) {
+      return true;
+    }
+    if (error.name === 'TypeError' && error.message === 'fetch failed') {
+      return true;
+    }
+    // e.g. a JWKS fetch failure wrapped by the ID token validator
+    return error.cause instanceof Error && OAuthError.isNetworkError(error.cause);
+  }
+}
+
+module.exports = OAuthError;
@@ -1,4 +1,8 @@
 const crypto = require('crypto');
+const { IdTokenValidator } = require('./id-token-validator');
+const OAuthError = require('./oauth-error');
+const { ClientAuthentication } = require('./client-authentication');
+const DPoP = require('./dpop');
 
 /**
  * OAuth PKCE utilities for secure authentication flow
@@ -9,9 +13,70 @@ class OAuthPKCE {
     this.authUrl = authUrl;
     this.tokenUrl = tokenUrl;
     this.redirectUri = redirectUri;
-    this.codeVerifier = null;
-    this.codeChallenge = null;
-    this.state = null;
+
+    // Optional endpoints, filled in from OIDC discovery or explicit settings
+    this.issuer = null;
+    this.revocationUrl = null;
+    this.userinfoUrl = null;
+    this.jwksUri = null;
+    this.endSessionUrl = null;
+    this.deviceAuthorizationUrl = null;
+    this.parUrl = null; // pushed authorization request endpoint (RFC 9126)
+    this.requirePar = false; // provider rejects authorization requests that were not pushed
+    this.codeChallengeMethods = ['S256'];
+    this.tokenEndpointAuthMethods = ['none'];
+    this.metadata = null;
+
+    // How the client authenticates to the token endpoint; public client by default
+    this.clientAuth = new ClientAuthentication({ clientId });
+
+    // DPoP proofs for sender-constrained tokens (RFC 9449); null sends bearer tokens
+    this.dpop = null;
+
+    // Requests to the provider fail after this long instead of hanging; well below
+    // RefreshLock.staleAfter, so a refresh ends before its lock could be taken over
+    this.requestTimeout = 10 * 1000;
+
+    // ID token validation settings
+    this.clockSkew = 120; // seconds of clock difference tolerated
+    this.idTokenValidator = null;
+  }
+
+  /**
+   * Apply provider metadata from an OIDC discovery document
+   * Endpoints missing from the metadata keep their current values
+   * @param {Object} metadata - Discovery document
+   */
+  applyMetadata(metadata) {
+    this.metadata = metadata;
+    this.issuer = metadata.issuer || this.issuer;
+    this.authUrl = metadata.authorization_endpoint || this.authUrl;
+    this.tokenUrl = metadata.token_endpoint || this.tokenUrl;
+    this.revocationUrl = metadata.revocation_endpoint || this.revocationUrl;
+    this.userinfoUrl = metadata.userinfo_endpoint || this.userinfoUrl;
+    this.jwksUri = metadata.jwks_uri || this.jwksUri;
+    this.endSessionUrl = metadata.end_session_endpoint || this.endSessionUrl;
+    this.deviceAuthorizationUrl = metadata.device_authorization_endpoint || this.deviceAuthorizationUrl;
+    this.parUrl = metadata.pushed_authorization_request_endpoint || this.parUrl;
+    this.requirePar = metadata.require_pushed_authorization_requests === true;
+
+    if (Array.isArray(metadata.code_challenge_methods_supported)) {
+      this.codeChallengeMethods = metadata.code_challenge_methods_supported;
+      if (!this.codeChallengeMethods.includes('S256')) {
+        console.warn('Provider does not advertise S256 PKCE support; sending S256 anyway');
+      }
+    }
+
+    if (Array.isArray(metadata.token_endpoint_auth_methods_supported)) {
+      this.tokenEndpointAuthMethods = metadata.token_endpoint_auth_methods_supported;
+      if (!this.tokenEndpointAuthMethods.includes(this.clientAuth.method)) {
+        console.warn(`Provider does not advertise token endpoint auth method ${this.clientAuth.method}; using it anyway`);
+      }
+    }
+
+    if (this.dpop && !(metadata.dpop_signing_alg_values_supported || []).includes('ES256')) {
+      console.warn('Provider does not advertise ES256 DPoP proofs; tokens may be issued as bearer tokens');
+    }
   }
 
   /**
@@ -44,35 +109,122 @@ class OAuthPKCE {
   }
 
   /**
-   * Generate PKCE code verifier and challenge
+   * Create a new authorization request with its own PKCE verifier, state and nonce
+   * Nothing is kept on this instance, so any number of requests can be pending;
+   * the caller holds on to the request until its callback arrives.
+   * @param {string[]} scopes - OAuth scopes to request
+   * @param {string} [redirectUri] - Redirect URI for this request
+   * @returns {Object} - { state, codeVerifier, codeChallenge, nonce, scopes, redirectUri }
    */
-  generatePKCE() {
-    this.codeVerifier = this.generateRandomString(128);
-    this.codeChallenge = this.sha256(this.codeVerifier);
-    this.state = this.generateRandomString(32);
+  createAuthorizationRequest(scopes = ['openid', 'profile', 'email'], redirectUri = this.redirectUri) {
+    const codeVerifier = this.generateRandomString(128);
+
+    return {
+      state: this.generateRandomString(32),
+      codeVerifier,
+      codeChallenge: this.sha256(codeVerifier),
+      nonce: this.generateRandomString(32),
+      scopes,
+      redirectUri
+    };
   }
 
   /**
    * Build authorization URL with PKCE parameters
-   * @param {string[]} scopes - OAuth scopes to request
+   * @param {Object} request - Request from createAuthorizationRequest
+   * @param {Object} extraParams - Additional authorization request parameters
    * @returns {string} - Complete authorization URL
    */
-  buildAuthUrl(scopes = ['openid', 'profile', 'email']) {
-    if (!this.codeChallenge) {
-      this.generatePKCE();
+  buildAuthUrl(request, extraParams = {}) {
+    return `${this.authUrl}?${this.getAuthParams(request, extraParams).toString()}`;
+  }
+
+  /**
+   * Create the URL to open in the browser for an authorization request
+   * Providers with a PAR endpoint get the parameters pushed first, so the browser
+   * URL only carries client_id and the request_uri; others get a plain URL.
+   * A failed push is an error: the provider advertised PAR, so the parameters
+   * don't quietly move back into the URL.
+   * @param {Object} request - Request from createAuthorizationRequest
+   * @param {Object} extraParams - Additional authorization request parameters
+   * @returns {Promise<Object>} - { url, expiresAt } - expiresAt of the request_uri, null without PAR
+   */
+  async createAuthUrl(request, extraParams = {}) {
+    if (!this.parUrl) {
+      if (this.requirePar) {
+        throw new Error('Provider requires pushed authorization requests but has no PAR endpoint');
+      }
+      return { url: this.buildAuthUrl(request, extraParams), expiresAt: null };
     }
 
+    const { requestUri, expiresAt } = await this.pushAuthorizationRequest(request, extraParams);
+    console.log(`Pushed authorization request, request_uri valid for ${Math.round((expiresAt - Date.now()) / 1000)}s`);
+
+    const params = new URLSearchParams({ client_id: this.clientId, request_uri: requestUri });
+    return { url: `${this.authUrl}?${params.toString()}`, expiresAt };
+  }
+
+  /**
+   * Push an authorization request to the PAR endpoint (RFC 9126, section 2)
+   * The request_uri is short-lived (typically a minute) and can be used once
+   * @param {Object} request - Request from createAuthorizationRequest
+   * @param {Object} extraParams - Additional authorization request parameters
+   * @returns {Promise<Object>} - { requestUri, expiresAt }
+   */
+  async pushAuthorizationRequest(request, extraParams = {}) {
+    const params = Object.fromEntries(this.getAuthParams(request, extraParams));
+    delete params.client_id; // added by the client authentication method
+
+    try {
+      // A DPoP proof here binds the authorization code to our key (RFC 9449, section 10.1)
+      const response = await this.postForm(this.parUrl, params, { dpop: true });
+
+      if (!response.ok) {
+        throw await OAuthError.fromResponse(response, 'Pushed authorization request failed');
+      }
+
+      const data = await response.json();
+      if (!data.request_uri) {
+        throw new Error('Response has no request_uri');
+      }
+
+      return {
+        requestUri: data.request_uri,
+        expiresAt: Date.now() + (data.expires_in || 60) * 1000
+      };
+    } catch (error) {
+      throw OAuthError.wrap(error, 'Pushed authorization request error');
+    }
+  }
+
+  /**
+   * Authorization request parameters
+   * @private
+   */
+  getAuthParams(request, extraParams = {}) {
     const params = new URLSearchParams({
       response_type: 'code',
       client_id: this.clientId,
-      redirect_uri: this.redirectUri,
-      scope: scopes.join(' '),
-      state: this.state,
-      code_challenge: this.codeChallenge,
+      redirect_uri: request.redirectUri,
+      scope: request.scopes.join(' '),
+      state: request.state,
+      code_challenge: request.codeChallenge,
       code_challenge_method: 'S256'
     });
 
-    return `${this.authUrl}?${params.toString()}`;
+    // Bind the ID token to this request to detect replays
+    if (request.scopes.includes('openid')) {
+      params.set('nonce', request.nonce);
+    }
+
+    // e.g. prompt, max_age and acr_values for step-up authentication
+    for (const [key, value] of Object.entries(extraParams)) {
+      if (value !== null && value !== undefined) {
+        params.set(key, value);
+      }
+    }
+
+    return params;
   }
 
   /**
@@ -96,115 +248,387 @@ class OAuthPKCE {
     }
   }
 
-  /**
-   * Validate state parameter to prevent CSRF attacks
-   * @param {string} receivedState - State received from callback
-   * @returns {boolean} - Whether state is valid
-   */
-  validateState(receivedState) {
-    return this.state === receivedState;
-  }
-
   /**
    * Exchange authorization code for tokens
    * @param {string} authorizationCode - The authorization code from callback
+   * @param {Object} request - The authorization request the code was issued for
+   * @param {Object} validationOptions - Extra ID token checks, see IdTokenValidator.validate
    * @returns {Promise<Object>} - Token response object
    */
-  async exchangeCodeForTokens(authorizationCode) {
-    if (!this.codeVerifier) {
-      throw new Error('Code verifier not found. Generate PKCE first.');
+  async exchangeCodeForTokens(authorizationCode, request, validationOptions = {}) {
+    if (!request || !request.codeVerifier) {
+      throw new Error('Code verifier not found. Create an authorization request first.');
     }
 
     const tokenData = {
       grant_type: 'authorization_code',
-      client_id: this.clientId,
       code: authorizationCode,
-      redirect_uri: this.redirectUri,
-      code_verifier: this.codeVerifier
+      redirect_uri: request.redirectUri,
+      code_verifier: request.codeVerifier
     };
 
     try {
-      const response = await fetch(this.tokenUrl, {
+      const response = await this.postForm(this.tokenUrl, tokenData, { dpop: true });
+
+      if (!response.ok) {
+        throw await OAuthError.fromResponse(response, 'Token exchange failed');
+      }
+
+      const tokens = await this.bindTokens(await response.json());
+
+      // Never hand back an ID token that has not been validated
+      if (tokens.id_token) {
+        tokens.id_token_claims = await this.validateIdToken(tokens.id_token, { ...validationOptions, nonce: request.nonce });
+      }
+
+      return tokens;
+    } catch (error) {
+      throw OAuthError.wrap(error, 'Token exchange error');
+    }
+  }
+
+  /**
+   * Start a device authorization request (RFC 8628, section 3.1)
+   * @param {string[]} scopes - OAuth scopes to request
+   * @returns {Promise<Object>} - device_code, user_code, verification_uri, expires_in, interval
+   */
+  async requestDeviceCode(scopes = ['openid', 'profile', 'email']) {
+    if (!this.deviceAuthorizationUrl) {
+      throw new Error('Provider has no device authorization endpoint');
+    }
+
+    try {
+      const response = await this.postForm(this.deviceAuthorizationUrl, {
+        scope: scopes.join(' ')
+      });
+
+      if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(`${response.status} ${errorData}`);
+      }
+
+      const deviceData = await response.json();
+      if (!deviceData.device_code || !deviceData.user_code || !deviceData.verification_uri) {
+        throw new Error('Incomplete device authorization response');
+      }
+
+      return deviceData;
+    } catch (error) {
+      throw new Error(`Device authorization error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Poll the token endpoint once for a device authorization (RFC 8628, section 3.4)
+   * @param {string} deviceCode - The device_code from requestDeviceCode
+   * @returns {Promise<Object>} - { status: 'authorization_pending' | 'slow_down' | 'complete', tokens }
+   * @throws {OAuthError} - Classified failure, see OAuthError.isTransient
+   */
+  async pollDeviceToken(deviceCode) {
+    const tokenData = {
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+      device_code: deviceCode
+    };
+
+    try {
+      const response = await this.postForm(this.tokenUrl, tokenData, { dpop: true });
+
+      if (!response.ok) {
+        const error = await OAuthError.fromResponse(response, 'Device login failed');
+        if (error.errorCode === 'authorization_pending' || error.errorCode === 'slow_down') {
+          return { status: error.errorCode };
+        }
+        throw error;
+      }
+
+      const tokens = await this.bindTokens(await response.json());
+      if (tokens.id_token) {
+        tokens.id_token_claims = await this.validateIdToken(tokens.id_token);
+      }
+      return { status: 'complete', tokens };
+    } catch (error) {
+      throw OAuthError.wrap(error, 'Device token poll error');
+    }
+  }
+
+  /**
+   * Get an ID token validator for the current issuer and JWKS URI
+   * @returns {IdTokenValidator}
+   */
+  getIdTokenValidator() {
+    const validator = this.idTokenValidator;
+    if (!validator || validator.issuer !== this.issuer || validator.jwksUri !== this.jwksUri) {
+      this.idTokenValidator = new IdTokenValidator({
+        issuer: this.issuer,
+        clientId: this.clientId,
+        jwksUri: this.jwksUri,
+        clockSkew: this.clockSkew,
+        timeout: this.requestTimeout
+      });
+    }
+    return this.idTokenValidator;
+  }
+
+  /**
+   * Validate an ID token (signature, iss, aud, azp, exp, iat, nonce)
+   * @param {string} idToken - The ID token
+   * @param {Object} options - { nonce, expectedSubject }
+   * @returns {Promise<Object>} - Validated claims
+   */
+  async validateIdToken(idToken, options = {}) {
+    return this.getIdTokenValidator().validate(idToken, options);
+  }
+
+  /**
+   * POST a form to an authorization server endpoint with the client's credentials
+   * @param {string} url - Token, revocation or device authorization endpoint
+   * @param {Object} params - Form parameters, without client credentials
+   * @param {Object} options - { dpop } - attach a DPoP proof (token requests)
+   * @returns {Promise<Response>}
+   */
+  async postForm(url, params, { dpop = false } = {}) {
+    const send = async () => {
+      // Client assertions are single-use, so every attempt gets fresh credentials
+      // Assertions name the authorization server, not the endpoint (PAR, device and
+      // revocation endpoints included), which is what servers check aud against
+      const { headers, params: body } = this.clientAuth.apply(this.issuer || this.tokenUrl, params);
+      if (dpop && this.dpop) {
+        headers.DPoP = await this.dpop.createProof('POST', url);
+      }
+
+      return fetch(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
-          'Accept': 'application/json'
+          'Accept': 'application/json',
+          ...headers
         },
-        body: new URLSearchParams(tokenData)
+        body: new URLSearchParams(body),
+        signal: AbortSignal.timeout(this.requestTimeout)
       });
+    };
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`Token exchange failed: ${response.status} ${errorData}`);
-      }
+    const response = await send();
+    if (!dpop || !this.dpop) {
+      return response;
+    }
 
-      const tokens = await response.json();
-      
-      // Clear PKCE data after successful exchange
-      this.codeVerifier = null;
-      this.codeChallenge = null;
-      this.state = null;
+    // The server may ask for a nonce it issued (RFC 9449 section 8); retry once with it
+    this.dpop.rememberNonce(url, response);
+    if (await DPoP.isNonceChallenge(response)) {
+      return send();
+    }
+    return response;
+  }
 
+  /**
+   * Record which key a token response is bound to
+   * A server without DPoP support answers with bearer tokens, which are stored unbound
+   * @private
+   */
+  async bindTokens(tokens) {
+    if (!this.dpop) {
       return tokens;
-    } catch (error) {
-      throw new Error(`Token exchange error: ${error.message}`);
     }
+
+    if ((tokens.token_type || '').toLowerCase() === 'dpop') {
+      tokens.dpop_jkt = await this.dpop.getThumbprint();
+    } else {
+      console.warn(`Token endpoint ignored DPoP and issued ${tokens.token_type || 'untyped'} tokens`);
+    }
+    return tokens;
+  }
+
+  /**
+   * Whether stored tokens can be used by this installation
+   * DPoP-bound tokens need the key they were bound to; unbound tokens always can
+   * @param {Object} tokens - Stored token data
+   * @returns {Promise<boolean>}
+   */
+  async canUseTokens(tokens) {
+    if (!tokens.dpop_jkt) {
+      return true;
+    }
+    return Boolean(this.dpop) && tokens.dpop_jkt === await this.dpop.getThumbprint();
+  }
+
+  /**
+   * Send a request to a resource server with an access token
+   * DPoP-bound tokens are sent with a proof (and retried once if the server wants a nonce)
+   * @param {string|URL} url - Resource URL
+   * @param {Object} options - fetch options; without a signal the request times out after requestTimeout
+   * @param {string} accessToken - Access token
+   * @param {string} [tokenType] - token_type of the token response ('Bearer' or 'DPoP')
+   * @returns {Promise<Response>}
+   */
+  async fetchResource(url, options, accessToken, tokenType = 'Bearer') {
+    const bound = (tokenType || '').toLowerCase() === 'dpop' && this.dpop;
+    const method = options.method || 'GET';
+
+    const send = async () => {
+      const headers = { ...options.headers };
+      if (bound) {
+        headers.Authorization = `DPoP ${accessToken}`;
+        headers.DPoP = await this.dpop.createProof(method, url, accessToken);
+      } else {
+        headers.Authorization = `Bearer ${accessToken}`;
+      }
+      return fetch(url, { signal: AbortSignal.timeout(this.requestTimeout), ...options, headers });
+    };
+
+    const response = await send();
+    if (!bound) {
+      return response;
+    }
+
+    this.dpop.rememberNonce(url, response);
+    if (await DPoP.isNonceChallenge(response)) {
+      return send();
+    }
+    return response;
   }
 
   /**
    * Refresh access token using refresh token
    * @param {string} refreshToken - The refresh token
    * @returns {Promise<Object>} - New token response object
+   * @throws {OAuthError} - Classified failure, see OAuthError.isInvalidGrant / isTransient
    */
   async refreshAccessToken(refreshToken) {
     const tokenData = {
       grant_type: 'refresh_token',
-      client_id: this.clientId,
       refresh_token: refreshToken
     };
 
     try {
-      const response = await fetch(this.tokenUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Accept': 'application/json'
-        },
-        body: new URLSearchParams(tokenData)
-      });
+      const response = await this.postForm(this.tokenUrl, tokenData, { dpop: true });
 
       if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`Token refresh failed: ${response.status} ${errorData}`);
+        throw await OAuthError.fromResponse(response, 'Token refresh failed');
+      }
+
+      return await this.bindTokens(await response.json());
+    } catch (error) {
+      throw OAuthError.wrap(error, 'Token refresh error');
+    }
+  }
+
+  /**
+   * Read the user's claims from the userinfo endpoint (OIDC Core 5.3)
+   * @param {string} accessToken - Access token of the user
+   * @param {string} [tokenType] - token_type of the token ('Bearer' or 'DPoP')
+   * @returns {Promise<Object>} - UserInfo claims
+   */
+  async fetchUserInfo(accessToken, tokenType = 'Bearer') {
+    if (!this.userinfoUrl) {
+      throw new Error('Provider has no userinfo endpoint');
+    }
+
+    try {
+      const response = await this.fetchResource(this.userinfoUrl, {
+        headers: { 'Accept': 'application/json' }
+      }, accessToken, tokenType);
+
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes('json')) {
+        throw new Error(`Unsupported response type ${contentType}`);
       }
 
       return await response.json();
     } catch (error) {
-      throw new Error(`Token refresh error: ${error.message}`);
+      throw new Error(`UserInfo request failed: ${error.message}`);
     }
   }
 
   /**
-   * Check if a token is expired
+   * Revoke a token at the provider (RFC 7009)
+   * @param {string} token - Access or refresh token
+   * @param {string} tokenTypeHint - 'access_token' or 'refresh_token'
+   * @param {string} [revocationUrl] - Endpoint override, e.g. for queued revocations
+   * @returns {Promise<void>}
+   */
+  async revokeToken(token, tokenTypeHint, revocationUrl = this.revocationUrl) {
+    if (!revocationUrl) {
+      throw new Error('Provider has no revocation endpoint');
+    }
+
+    const revocationData = {
+      token,
+      token_type_hint: tokenTypeHint
+    };
+
+    try {
+      const response = await this.postForm(revocationUrl, revocationData);
+
+      // Per RFC 7009 the server answers 200 even for unknown or already revoked tokens
+      if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(`Token revocation failed: ${response.status} ${errorData}`);
+      }
+    } catch (error) {
+      throw new Error(`Token revocation error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build RP-initiated logout URL (OpenID Connect RP-Initiated Logout 1.0)
+   * @param {Object} options - { idTokenHint, postLogoutRedirectUri }
+   * @returns {string|null} - Logout URL or null if the provider has no end_session_endpoint
+   */
+  buildEndSessionUrl({ idTokenHint = null, postLogoutRedirectUri = null } = {}) {
+    if (!this.endSessionUrl) {
+      return null;
+    }
+
+    const params = new URLSearchParams({ client_id: this.clientId });
+    if (idTokenHint) {
+      params.set('id_token_hint', idTokenHint);
+    }
+    if (postLogoutRedirectUri) {
+      params.set('post_logout_redirect_uri', postLogoutRedirectUri);
+    }
+
+    return `${this.endSessionUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Get the expiry time of a token
    * @param {Object} tokenData - Token object with expires_at or expires_in
-   * @returns {boolean} - Whether the token is expired
+   * @returns {number|null} - Expiry as milliseconds since epoch, or null if unknown
    */
-  isTokenExpired(tokenData) {
-    if (!tokenData) return true;
+  getExpiresAt(tokenData) {
+    if (!tokenData) return null;
 
     // If expires_at is available (Unix timestamp)
     if (tokenData.expires_at) {
-      return Date.now() > tokenData.expires_at * 1000;
+      return tokenData.expires_at * 1000;
     }
 
     // If expires_in is available (seconds from issued_at)
     if (tokenData.expires_in && tokenData.issued_at) {
-      const expiresAt = (tokenData.issued_at + tokenData.expires_in) * 1000;
-      return Date.now() > expiresAt;
+      return (tokenData.issued_at + tokenData.expires_in) * 1000;
     }
 
+    return null;
+  }
+
+  /**
+   * Check if a token is expired
+   * @param {Object} tokenData - Token object with expires_at or expires_in
+   * @param {number} marginSeconds - Treat the token as expired this many seconds early
+   * @returns {boolean} - Whether the token is expired
+   */
+  isTokenExpired(tokenData, marginSeconds = 0) {
+    const expiresAt = this.getExpiresAt(tokenData);
+
     // If we don't have expiration info, assume it's expired for safety
-    return true;
+    if (!expiresAt) return true;
+
+    return Date.now() > expiresAt - marginSeconds * 1000;
   }
 
   /**
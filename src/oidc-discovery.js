@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * OpenID Connect discovery client
+ * Fetches and caches /.well-known/openid-configuration for an issuer
+ */
+class OIDCDiscovery {
+  constructor(options = {}) {
+    this.cacheFile = options.cacheFile || null;
+    this.cacheTtl = options.cacheTtl || 24 * 60 * 60 * 1000; // 24 hours
+    this.timeout = options.timeout || 10000;
+    this.cache = new Map(); // issuer -> { metadata, fetchedAt }
+  }
+
+  /**
+   * Build the discovery document URL for an issuer
+   * @param {string} issuer - Issuer identifier URL
+   * @returns {string} - Discovery document URL
+   */
+  getDiscoveryUrl(issuer) {
+    return `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+  }
+
+  /**
+   * Get provider metadata, using the cache when it is still fresh
+   * @param {string} issuer - Issuer identifier URL
+   * @param {Object} options - { forceRefresh }
+   * @returns {Promise<Object>} - Provider metadata
+   */
+  async discover(issuer, { forceRefresh = false } = {}) {
+    const cached = this.getCachedEntry(issuer);
+
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      return cached.metadata;
+    }
+
+    try {
+      const metadata = await this.fetchMetadata(issuer);
+      this.setCachedEntry(issuer, { metadata, fetchedAt: Date.now() });
+      console.log(`OIDC discovery completed for ${issuer}`);
+      return metadata;
+    } catch (error) {
+      // Stale metadata is better than none when the issuer is unreachable
+      if (cached) {
+        console.warn(`OIDC discovery failed, using cached metadata: ${error.message}`);
+        return cached.metadata;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch and validate the discovery document
+   * @param {string} issuer - Issuer identifier URL
+   * @returns {Promise<Object>} - Provider metadata
+   */
+  async fetchMetadata(issuer) {
+    const discoveryUrl = this.getDiscoveryUrl(issuer);
+
+    try {
+      const response = await fetch(discoveryUrl, {
+        headers: { 'Accept': 'application/json' },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const metadata = await response.json();
+      this.validateMetadata(issuer, metadata);
+      return metadata;
+    } catch (error) {
+      throw new Error(`OIDC discovery failed for ${issuer}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate required metadata fields (OpenID Connect Discovery 1.0, section 4.3)
+   * @param {string} issuer - Expected issuer
+   * @param {Object} metadata - Discovery document
+   */
+  validateMetadata(issuer, metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+      throw new Error('Discovery document is not a JSON object');
+    }
+
+    if (metadata.issuer !== issuer) {
+      throw new Error(`Issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+    }
+
+    for (const field of ['authorization_endpoint', 'token_endpoint']) {
+      if (!metadata[field]) {
+        throw new Error(`Discovery document is missing ${field}`);
+      }
+    }
+  }
+
+  /**
+   * Get a cache entry from memory, falling back to the cache file
+   * @private
+   */
+  getCachedEntry(issuer) {
+    if (this.cache.has(issuer)) {
+      return this.cache.get(issuer);
+    }
+
+    const fileCache = this.readCacheFile();
+    if (fileCache[issuer]) {
+      this.cache.set(issuer, fileCache[issuer]);
+      return fileCache[issuer];
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a cache entry in memory and in the cache file
+   * @private
+   */
+  setCachedEntry(issuer, entry) {
+    this.cache.set(issuer, entry);
+
+    if (!this.cacheFile) return;
+
+    try {
+      const fileCache = this.readCacheFile();
+      fileCache[issuer] = entry;
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      fs.writeFileSync(this.cacheFile, JSON.stringify(fileCache, null, 2));
+    } catch (error) {
+      console.warn('Failed to write OIDC discovery cache:', error.message);
+    }
+  }
+
+  /**
+   * Read the cache file
+   * @private
+   */
+  readCacheFile() {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (error) {
+      console.warn('Ignoring unreadable OIDC discovery cache:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Drop cached metadata for one issuer or for all issuers
+   * @param {string} [issuer] - Issuer to forget
+   */
+  clearCache(issuer = null) {
+    if (issuer) {
+      this.cache.delete(issuer);
+    } else {
+      this.cache.clear();
+    }
+
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) return;
+
+    try {
+      const fileCache = issuer ? this.readCacheFile() : {};
+      delete fileCache[issuer];
+      fs.writeFileSync(this.cacheFile, JSON.stringify(fileCache, null, 2));
+    } catch (error) {
+      console.warn('Failed to clear OIDC discovery cache:', error.message);
+    }
+  }
+}
+
+module.exports = OIDCDiscovery;
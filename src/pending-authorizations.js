@@ -0,0 +1,91 @@
+/**
+ * Authorization requests waiting for their browser callback, keyed by OAuth state
+ * Each request carries its own PKCE verifier, nonce, scopes and redirect URI, so
+ * several can be in flight at once. A state can be redeemed only once.
+ */
+class PendingAuthorizations {
+  constructor(options = {}) {
+    this.maxAge = options.maxAge || 10 * 60 * 1000; // 10 minutes
+    this.requests = new Map(); // state -> request
+  }
+
+  /**
+   * Remember an authorization request
+   * @param {Object} request - { state, codeVerifier, nonce, scopes, redirectUri, ... }
+   * @returns {Object} - The stored request, with createdAt
+   */
+  add(request) {
+    if (!request.state) {
+      throw new Error('Authorization request has no state');
+    }
+
+    this.prune();
+    const entry = { ...request, createdAt: Date.now() };
+    this.requests.set(entry.state, entry);
+    return entry;
+  }
+
+  /**
+   * Look up a request without redeeming it
+   * @param {string} state - State from the callback
+   * @returns {Object|null}
+   */
+  get(state) {
+    const request = this.requests.get(state);
+    if (!request) {
+      return null;
+    }
+
+    if (Date.now() - request.createdAt > this.maxAge) {
+      this.requests.delete(state);
+      return null;
+    }
+
+    return request;
+  }
+
+  /**
+   * Redeem a request; later callbacks with the same state find nothing
+   * @param {string} state - State from the callback
+   * @returns {Object|null} - The request, or null if unknown, expired or already used
+   */
+  consume(state) {
+    const request = this.get(state);
+    if (request) {
+      this.requests.delete(state);
+    }
+    return request;
+  }
+
+  /**
+   * Forget a request (cancelled or timed out)
+   * @param {string} state - Request state
+   */
+  remove(state) {
+    this.requests.delete(state);
+  }
+
+  /**
+   * All requests still waiting for a callback
+   * @returns {Object[]}
+   */
+  list() {
+    this.prune();
+    return Array.from(this.requests.values());
+  }
+
+  /**
+   * Drop expired requests
+   * @private
+   */
+  prune() {
+    const now = Date.now();
+    for (const [state, request] of this.requests) {
+      if (now - request.createdAt > this.maxAge) {
+        this.requests.delete(state);
+      }
+    }
+  }
+}
+
+module.exports = PendingAuthorizations;
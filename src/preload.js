@@ -5,16 +5,30 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Authentication methods
   auth: {
-    startLogin: () => ipcRenderer.invoke('auth:start-login'),
-    startForcedLogin: () => ipcRenderer.invoke('auth:start-forced-login'),
+    startLogin: (providerName) => ipcRenderer.invoke('auth:start-login', providerName),
+    startDeviceLogin: (providerName) => ipcRenderer.invoke('auth:start-device-login', providerName),
+    cancelLogin: () => ipcRenderer.invoke('auth:cancel-login'),
+    reopenBrowser: () => ipcRenderer.invoke('auth:reopen-browser'),
+    listProviders: () => ipcRenderer.invoke('auth:list-providers'),
+    stepUp: () => ipcRenderer.invoke('auth:step-up'),
+    requestScopes: (scopes) => ipcRenderer.invoke('auth:request-scopes', scopes),
     getStatus: () => ipcRenderer.invoke('auth:get-status'),
-    logout: () => ipcRenderer.invoke('auth:logout'),
+    getProfile: () => ipcRenderer.invoke('auth:get-profile'),
+    unlock: () => ipcRenderer.invoke('auth:unlock'),
+    logout: (options) => ipcRenderer.invoke('auth:logout', options),
+    listAccounts: () => ipcRenderer.invoke('auth:list-accounts'),
+    switchAccount: (accountId) => ipcRenderer.invoke('auth:switch-account', accountId),
+    addAccount: () => ipcRenderer.invoke('auth:add-account'),
     
     // Event listeners
     onWaitingForCallback: (callback) => {
       ipcRenderer.on('auth:waiting-for-callback', callback);
       return () => ipcRenderer.removeListener('auth:waiting-for-callback', callback);
     },
+    onDeviceCode: (callback) => {
+      ipcRenderer.on('auth:device-code', callback);
+      return () => ipcRenderer.removeListener('auth:device-code', callback);
+    },
     onSuccess: (callback) => {
       ipcRenderer.on('auth:success', callback);
       return () => ipcRenderer.removeListener('auth:success', callback);
@@ -23,12 +37,41 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.on('auth:error', callback);
       return () => ipcRenderer.removeListener('auth:error', callback);
     },
+    onLoginState: (callback) => {
+      ipcRenderer.on('auth:login-state', callback);
+      return () => ipcRenderer.removeListener('auth:login-state', callback);
+    },
     onStatusChanged: (callback) => {
       ipcRenderer.on('auth:status-changed', callback);
       return () => ipcRenderer.removeListener('auth:status-changed', callback);
+    },
+    onStateChanged: (callback) => {
+      ipcRenderer.on('auth:state-changed', callback);
+      return () => ipcRenderer.removeListener('auth:state-changed', callback);
+    },
+    onSessionLocked: (callback) => {
+      ipcRenderer.on('auth:session-locked', callback);
+      return () => ipcRenderer.removeListener('auth:session-locked', callback);
+    },
+    onSessionUnlocked: (callback) => {
+      ipcRenderer.on('auth:session-unlocked', callback);
+      return () => ipcRenderer.removeListener('auth:session-unlocked', callback);
+    },
+    onProfileChanged: (callback) => {
+      ipcRenderer.on('auth:profile-changed', callback);
+      return () => ipcRenderer.removeListener('auth:profile-changed', callback);
+    },
+    onAccountsChanged: (callback) => {
+      ipcRenderer.on('auth:accounts-changed', callback);
+      return () => ipcRenderer.removeListener('auth:accounts-changed', callback);
     }
   },
 
+  // API calls; the main process adds the access token, which never reaches this window
+  api: {
+    request: (request) => ipcRenderer.invoke('api:request', request)
+  },
+
   // File operations
   file: {
     onOpen: (callback) => {
@@ -53,15 +96,29 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // Developer token inspector (--dev only; token values stay masked)
+  inspector: {
+    getSnapshot: () => ipcRenderer.invoke('inspector:get-snapshot'),
+    forceRefresh: () => ipcRenderer.invoke('inspector:force-refresh'),
+    simulateExpiry: () => ipcRenderer.invoke('inspector:simulate-expiry')
+  },
+
   // Utility methods
   platform: process.platform,
   
   // Remove all listeners (cleanup)
   removeAllListeners: () => {
     ipcRenderer.removeAllListeners('auth:waiting-for-callback');
+    ipcRenderer.removeAllListeners('auth:device-code');
     ipcRenderer.removeAllListeners('auth:success');
     ipcRenderer.removeAllListeners('auth:error');
+    ipcRenderer.removeAllListeners('auth:login-state');
     ipcRenderer.removeAllListeners('auth:status-changed');
+    ipcRenderer.removeAllListeners('auth:state-changed');
+    ipcRenderer.removeAllListeners('auth:session-locked');
+    ipcRenderer.removeAllListeners('auth:session-unlocked');
+    ipcRenderer.removeAllListeners('auth:profile-changed');
+    ipcRenderer.removeAllListeners('auth:accounts-changed');
     ipcRenderer.removeAllListeners('file:open');
     ipcRenderer.removeAllListeners('menu:open-file');
     ipcRenderer.removeAllListeners('action:update-something');
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A secret kept in its own file, encrypted with Electron safeStorage
+ * For keys that must not sit next to what they protect (the token store, the audit
+ * log): a copy of the file is useless without the OS keyring entry safeStorage uses.
+ * Only OS-backed safeStorage is accepted; there is no weaker fallback.
+ * The file is created once and never overwritten, so instances racing to create it
+ * all end up with the same secret, and a failed read never replaces it.
+ */
+class ProtectedFile {
+  /**
+   * @param {Object} options - { file, safeStorage }
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.safeStorage = options.safeStorage || null;
+  }
+
+  /**
+   * Whether safeStorage encrypts with an OS-protected key
+   * On Linux without a keyring Electron falls back to a hard-coded key ("basic_text")
+   * @param {Object} safeStorage - Electron safeStorage
+   * @returns {boolean}
+   */
+  static isProtected(safeStorage) {
+    if (!safeStorage || !safeStorage.isEncryptionAvailable()) {
+      return false;
+    }
+    if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function') {
+      return safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+    return true;
+  }
+
+  /**
+   * Read the secret
+   * @returns {string|null} - The secret, or null if the file does not exist
+   * @throws {Error} - If the file exists but can't be read or decrypted
+   */
+  read() {
+    let data;
+    try {
+      data = fs.readFileSync(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read ${path.basename(this.file)}: ${error.message}`);
+    }
+
+    this.checkProtected();
+    try {
+      return this.safeStorage.decryptString(data);
+    } catch (error) {
+      throw new Error(`Failed to decrypt ${path.basename(this.file)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the secret, creating it if there is none yet
+   * @param {Function} generate - () => new secret (string)
+   * @returns {string} - The stored secret, which is another instance's if it won the race
+   */
+  readOrCreate(generate) {
+    const existing = this.read();
+    if (existing !== null) {
+      return existing;
+    }
+
+    this.checkProtected();
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+
+    // Write the whole file under a temporary name, then link it into place:
+    // link fails if the file exists, so nobody sees a partial file or loses a secret
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, this.safeStorage.encryptString(generate()), { mode: 0o600 });
+    try {
+      fs.linkSync(tempFile, this.file);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new Error(`Failed to create ${path.basename(this.file)}: ${error.message}`);
+      }
+    } finally {
+      fs.rmSync(tempFile, { force: true });
+    }
+
+    return this.read();
+  }
+
+  /**
+   * @private
+   */
+  checkProtected() {
+    if (!ProtectedFile.isProtected(this.safeStorage)) {
+      throw new Error(`${path.basename(this.file)} needs OS-backed safeStorage (a system keyring), which is unavailable`);
+    }
+  }
+}
+
+module.exports = ProtectedFile;
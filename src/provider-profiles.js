@@ -0,0 +1,232 @@
+const OAuthPKCE = require('./oauth-pkce');
+const { ClientAuthentication, AUTH_METHODS } = require('./client-authentication');
+const { JWS_ALGORITHMS } = require('./id-token-validator');
+
+// Profile settings and the OAUTH_* (or OAUTH_<NAME>_*) variables they are read from
+const ENDPOINT_SETTINGS = {
+  issuer: 'ISSUER',
+  authUrl: 'AUTH_URL',
+  tokenUrl: 'TOKEN_URL',
+  revocationUrl: 'REVOCATION_URL',
+  endSessionUrl: 'END_SESSION_URL',
+  userinfoUrl: 'USERINFO_URL',
+  deviceAuthorizationUrl: 'DEVICE_AUTH_URL',
+  parUrl: 'PAR_URL',
+  jwksUri: 'JWKS_URI'
+};
+
+// Behaviour settings a named profile inherits from the un-prefixed variables
+const SHARED_SETTINGS = [
+  'SCOPES',
+  'REDIRECT_MODE',
+  'CLOCK_SKEW_SECONDS',
+  'END_SESSION_ON_LOGOUT',
+  'POST_LOGOUT_REDIRECT_URI',
+  'STEP_UP_MAX_AGE',
+  'STEP_UP_ACR_VALUES'
+];
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+/**
+ * Named OAuth provider profiles
+ * OAUTH_PROVIDERS=google,azure selects profiles configured with OAUTH_GOOGLE_*,
+ * OAUTH_AZURE_* variables. Without it, the plain OAUTH_* variables form a single
+ * 'default' profile.
+ */
+class ProviderProfiles {
+  constructor(profiles) {
+    if (!profiles.length) {
+      throw new Error('No OAuth provider profiles configured');
+    }
+    this.profiles = new Map(profiles.map(profile => [profile.name, profile]));
+  }
+
+  /**
+   * Load provider profiles from environment variables
+   * @param {Object} env - Environment, defaults to process.env
+   * @returns {ProviderProfiles}
+   */
+  static fromEnv(env = process.env) {
+    const names = (env.OAUTH_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    if (!names.length) {
+      const profile = ProviderProfiles.buildProfile(DEFAULT_PROFILE_NAME, env, 'OAUTH_');
+      const problem = ProviderProfiles.checkProfile(profile, 'OAUTH_');
+      if (problem) {
+        throw new Error(`Invalid OAuth configuration: ${problem}`);
+      }
+      return new ProviderProfiles([profile]);
+    }
+
+    const profiles = [];
+    for (const name of names) {
+      const prefix = `OAUTH_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      const profile = ProviderProfiles.buildProfile(name, env, prefix);
+
+      if (!profile.clientId || !(profile.issuer || (profile.authUrl && profile.tokenUrl))) {
+        console.warn(`Skipping provider profile "${name}": set ${prefix}CLIENT_ID and ${prefix}ISSUER (or ${prefix}AUTH_URL and ${prefix}TOKEN_URL)`);
+        continue;
+      }
+      const problem = ProviderProfiles.checkProfile(profile, prefix);
+      if (problem) {
+        console.warn(`Skipping provider profile "${name}": ${problem}`);
+        continue;
+      }
+      profiles.push(profile);
+    }
+
+    return new ProviderProfiles(profiles);
+  }
+
+  /**
+   * Build one profile from prefixed environment variables
+   * @private
+   */
+  static buildProfile(name, env, prefix) {
+    const isDefault = prefix === 'OAUTH_';
+    const read = (key) => {
+      const value = env[`${prefix}${key}`];
+      if (value !== undefined && value !== '') return value;
+      return SHARED_SETTINGS.includes(key) ? env[`OAUTH_${key}`] : undefined;
+    };
+
+    const profile = {
+      name,
+      displayName: read('DISPLAY_NAME') || (isDefault ? 'OAuth' : name),
+      clientId: read('CLIENT_ID') || (isDefault ? 'your-client-id' : null),
+      clockSkew: parseInt(read('CLOCK_SKEW_SECONDS'), 10) || 120,
+      // 'custom-scheme' (myapp://callback) or 'loopback' (http://127.0.0.1:<port>/callback)
+      redirectMode: read('REDIRECT_MODE') || 'custom-scheme',
+      redirectUri: 'myapp://callback',
+      // RP-initiated logout: also end the provider's browser session on logout
+      endSessionOnLogout: read('END_SESSION_ON_LOGOUT') === 'true',
+      postLogoutRedirectUri: read('POST_LOGOUT_REDIRECT_URI') || null,
+      scopes: (read('SCOPES') || 'openid profile email').split(/\s+/).filter(Boolean),
+      // Step-up authentication for sensitive actions: always prompt=login, optionally
+      // max_age (seconds) and acr_values the new ID token must satisfy
+      stepUpMaxAge: read('STEP_UP_MAX_AGE') ? parseInt(read('STEP_UP_MAX_AGE'), 10) : null,
+      stepUpAcrValues: (read('STEP_UP_ACR_VALUES') || '').split(/\s+/).filter(Boolean),
+      // Client authentication at the token endpoint; never shared between profiles
+      clientSecret: read('CLIENT_SECRET') || null,
+      clientPrivateKeyFile: read('CLIENT_PRIVATE_KEY_FILE') || null,
+      clientKeyId: read('CLIENT_KEY_ID') || null,
+      clientAssertionAlg: read('CLIENT_ASSERTION_ALG') || null,
+      // Request DPoP-bound tokens (RFC 9449) instead of bearer tokens
+      dpop: read('DPOP') === 'true'
+    };
+
+    // Without an explicit method, a configured secret or key decides (client_secret_basic is the RFC 6749 default)
+    profile.tokenEndpointAuthMethod = read('TOKEN_ENDPOINT_AUTH_METHOD') ||
+      (profile.clientSecret ? 'client_secret_basic' : profile.clientPrivateKeyFile ? 'private_key_jwt' : 'none');
+
+    // When an issuer is set, endpoints are discovered and the explicit URLs are only a fallback
+    for (const [setting, key] of Object.entries(ENDPOINT_SETTINGS)) {
+      profile[setting] = read(key) || null;
+    }
+
+    if (isDefault && !profile.issuer && !profile.authUrl && !profile.tokenUrl) {
+      // Google unless configured otherwise; its issuer lets ID tokens be validated
+      profile.issuer = 'https://accounts.google.com';
+    }
+    if (isDefault) {
+      profile.authUrl = profile.authUrl || 'https://accounts.google.com/o/oauth2/v2/auth';
+      profile.tokenUrl = profile.tokenUrl || 'https://oauth2.googleapis.com/token';
+    }
+
+    return profile;
+  }
+
+  /**
+   * Settings a profile cannot log in without, checked at startup rather than at login
+   * ID tokens (requested with the openid scope) are validated against the issuer;
+   * the JWKS URI comes from discovery, or JWKS_URI if discovery fails. The client
+   * authentication settings are checked here too, so createClient can't fail on them.
+   * @param {Object} profile - Profile from buildProfile
+   * @param {string} prefix - Variable prefix, for the message
+   * @returns {string|null} - What is missing, or null if the profile is usable
+   */
+  static checkProfile(profile, prefix) {
+    if (profile.scopes.includes('openid') && !profile.issuer) {
+      return `the openid scope needs ${prefix}ISSUER to validate ID tokens (or leave openid out of ${prefix}SCOPES)`;
+    }
+
+    const method = profile.tokenEndpointAuthMethod;
+    if (!AUTH_METHODS.includes(method)) {
+      return `${prefix}TOKEN_ENDPOINT_AUTH_METHOD "${method}" is not supported (use ${AUTH_METHODS.join(', ')})`;
+    }
+    if (method.startsWith('client_secret_') && !profile.clientSecret) {
+      return `${method} needs ${prefix}CLIENT_SECRET`;
+    }
+    if (method === 'private_key_jwt' && !profile.clientPrivateKeyFile) {
+      return `private_key_jwt needs ${prefix}CLIENT_PRIVATE_KEY_FILE`;
+    }
+    if (profile.clientAssertionAlg && !JWS_ALGORITHMS[profile.clientAssertionAlg]) {
+      return `${prefix}CLIENT_ASSERTION_ALG "${profile.clientAssertionAlg}" is not supported (use ${Object.keys(JWS_ALGORITHMS).join(', ')})`;
+    }
+    return null;
+  }
+
+  /**
+   * Create an OAuth client configured for a profile
+   * @param {Object} profile - Provider profile
+   * @returns {OAuthPKCE}
+   */
+  static createClient(profile) {
+    const oauthPKCE = new OAuthPKCE(
+      profile.clientId,
+      profile.authUrl,
+      profile.tokenUrl,
+      profile.redirectUri
+    );
+
+    oauthPKCE.issuer = profile.issuer;
+    oauthPKCE.revocationUrl = profile.revocationUrl;
+    oauthPKCE.endSessionUrl = profile.endSessionUrl;
+    oauthPKCE.userinfoUrl = profile.userinfoUrl;
+    oauthPKCE.deviceAuthorizationUrl = profile.deviceAuthorizationUrl;
+    oauthPKCE.parUrl = profile.parUrl;
+    oauthPKCE.jwksUri = profile.jwksUri;
+    oauthPKCE.clockSkew = profile.clockSkew;
+    oauthPKCE.clientAuth = new ClientAuthentication({
+      method: profile.tokenEndpointAuthMethod,
+      clientId: profile.clientId,
+      clientSecret: profile.clientSecret,
+      privateKeyFile: profile.clientPrivateKeyFile,
+      keyId: profile.clientKeyId,
+      signingAlgorithm: profile.clientAssertionAlg
+    });
+
+    return oauthPKCE;
+  }
+
+  /**
+   * Get a profile by name
+   * @param {string} name - Profile name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  /**
+   * First configured profile
+   * @returns {Object}
+   */
+  getDefault() {
+    return this.profiles.values().next().value;
+  }
+
+  /**
+   * All configured profiles, in configuration order
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.profiles.values());
+  }
+}
+
+module.exports = ProviderProfiles;
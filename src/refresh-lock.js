@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cross-process lock around token refreshes
+ * Every instance shares the same credential store, so with refresh token rotation
+ * only one of them may redeem a refresh token at a time. The lock is a file created
+ * with O_EXCL in a shared directory; locks left behind by crashed instances expire.
+ * The holder touches the file while it works, so a slow refresh is not mistaken
+ * for an abandoned lock.
+ */
+class RefreshLock {
+  constructor(options = {}) {
+    this.lockDir = options.lockDir;
+    this.staleAfter = options.staleAfter || 30 * 1000; // lock file untouched this long is abandoned
+    this.maxHold = options.maxHold || 2 * 60 * 1000; // stop touching a lock held this long (a stuck holder)
+    this.retryInterval = options.retryInterval || 100;
+    this.timeout = options.timeout || 45 * 1000;
+  }
+
+  /**
+   * Lock file path for a lock name (account IDs contain URL characters)
+   * @private
+   */
+  getLockFile(name) {
+    const hash = crypto.createHash('sha256').update(name).digest('hex').slice(0, 32);
+    return path.join(this.lockDir, `refresh-${hash}.lock`);
+  }
+
+  /**
+   * Wait until the lock is ours
+   * @param {string} name - Lock name, e.g. the account ID
+   * @returns {Promise<Function>} - Call to release the lock
+   */
+  async acquire(name) {
+    const lockFile = this.getLockFile(name);
+    const owner = crypto.randomUUID();
+    const deadline = Date.now() + this.timeout;
+
+    fs.mkdirSync(this.lockDir, { recursive: true });
+
+    while (true) {
+      try {
+        fs.writeFileSync(lockFile, JSON.stringify({
+          owner,
+          pid: process.pid,
+          acquiredAt: Date.now()
+        }), { flag: 'wx' });
+        return this.keepAlive(lockFile, owner);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new Error(`Failed to acquire refresh lock: ${error.message}`);
+        }
+      }
+
+      if (this.isStale(lockFile)) {
+        console.warn('Removing stale token refresh lock left by another instance');
+        this.removeLockFile(lockFile);
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for another instance to refresh tokens');
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.retryInterval));
+    }
+  }
+
+  /**
+   * Touch the lock file until it is released or held for maxHold
+   * @private
+   * @returns {Function} - Releases the lock
+   */
+  keepAlive(lockFile, owner) {
+    const acquiredAt = Date.now();
+    const heartbeat = setInterval(() => {
+      if (Date.now() - acquiredAt > this.maxHold) {
+        console.warn('Token refresh lock held too long, letting it expire');
+        clearInterval(heartbeat);
+        return;
+      }
+      this.touch(lockFile, owner);
+    }, this.staleAfter / 3);
+    heartbeat.unref();
+
+    return () => {
+      clearInterval(heartbeat);
+      this.release(lockFile, owner);
+    };
+  }
+
+  /**
+   * @private
+   */
+  touch(lockFile, owner) {
+    const lock = this.readLockFile(lockFile);
+    if (!lock || lock.owner !== owner) {
+      return;
+    }
+    try {
+      const now = new Date();
+      fs.utimesSync(lockFile, now, now);
+    } catch (error) {
+      console.warn('Failed to touch token refresh lock:', error.message);
+    }
+  }
+
+  /**
+   * Remove the lock file if we still own it
+   * @private
+   */
+  release(lockFile, owner) {
+    const lock = this.readLockFile(lockFile);
+    if (lock && lock.owner === owner) {
+      this.removeLockFile(lockFile);
+    }
+  }
+
+  /**
+   * A lock is stale when its holder died or stopped touching it
+   * @private
+   */
+  isStale(lockFile) {
+    let touchedAt;
+    try {
+      touchedAt = fs.statSync(lockFile).mtimeMs;
+    } catch (error) {
+      return false; // already gone
+    }
+    if (Date.now() - touchedAt > this.staleAfter) {
+      return true;
+    }
+
+    // Unreadable or half-written lock: only its age tells
+    const lock = this.readLockFile(lockFile);
+    return Boolean(lock) && lock.pid !== process.pid && !this.isProcessAlive(lock.pid);
+  }
+
+  /**
+   * @private
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * @private
+   */
+  readLockFile(lockFile) {
+    try {
+      return JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  removeLockFile(lockFile) {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to remove token refresh lock:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = RefreshLock;
@@ -0,0 +1,249 @@
+const OAuthError = require('./oauth-error');
+
+/**
+ * Refreshes access tokens in the background shortly before they expire
+ * Keeps one timer per signed-in account and re-plans them after sleep or clock jumps
+ */
+class RefreshScheduler {
+  constructor(tokenManager, options = {}) {
+    this.tokenManager = tokenManager;
+    this.refreshBefore = options.refreshBefore ?? 5 * 60 * 1000; // refresh 5 minutes before expiry
+    this.retryDelay = options.retryDelay || 30 * 1000; // retry failed refreshes every 30 seconds
+    this.maxTimerDelay = options.maxTimerDelay || 60 * 60 * 1000; // re-check at least hourly
+    this.clockCheckInterval = options.clockCheckInterval || 60 * 1000;
+    this.clockJumpThreshold = options.clockJumpThreshold || 30 * 1000;
+    this.powerMonitor = options.powerMonitor || null;
+    // Called with (accountId, status) whenever an account's session changes
+    this.onStatusChange = options.onStatusChange || (() => {});
+    // Resolves to true for accounts that must not be refreshed for now (a locked session)
+    this.isPaused = options.isPaused || (async () => false);
+
+    this.timers = new Map(); // accountId -> timeout
+    this.clockTimer = null;
+    this.lastClockCheck = null;
+    this.running = false;
+
+    this.handleWake = () => {
+      console.log('System resumed, rescheduling token refresh');
+      this.rescheduleAll().catch(error => {
+        console.error('Failed to reschedule token refresh:', error.message);
+      });
+    };
+  }
+
+  /**
+   * Schedule refreshes for all accounts and watch for sleep/resume and clock changes
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    if (this.powerMonitor) {
+      this.powerMonitor.on('resume', this.handleWake);
+      this.powerMonitor.on('unlock-screen', this.handleWake);
+    }
+
+    // Timers keep running on monotonic time, so a wall-clock change shows up as
+    // drift between consecutive checks
+    this.lastClockCheck = Date.now();
+    this.clockTimer = setInterval(() => this.checkClock(), this.clockCheckInterval);
+
+    await this.rescheduleAll();
+  }
+
+  /**
+   * Cancel all timers and stop watching system events
+   */
+  stop() {
+    this.running = false;
+
+    if (this.powerMonitor) {
+      this.powerMonitor.removeListener('resume', this.handleWake);
+      this.powerMonitor.removeListener('unlock-screen', this.handleWake);
+    }
+
+    if (this.clockTimer) {
+      clearInterval(this.clockTimer);
+      this.clockTimer = null;
+    }
+
+    for (const accountId of this.timers.keys()) {
+      this.unschedule(accountId);
+    }
+  }
+
+  /**
+   * Re-plan the refresh of every signed-in account
+   * @returns {Promise<void>}
+   */
+  async rescheduleAll() {
+    if (!this.running) return;
+
+    const accounts = await this.tokenManager.listAccounts();
+    const accountIds = new Set(accounts.map(account => account.id));
+
+    for (const accountId of this.timers.keys()) {
+      if (!accountIds.has(accountId)) {
+        this.unschedule(accountId);
+      }
+    }
+
+    for (const accountId of accountIds) {
+      await this.schedule(accountId);
+    }
+  }
+
+  /**
+   * Plan the next refresh of one account from its token expiry
+   * @param {string} accountId - Account to schedule
+   * @returns {Promise<void>}
+   */
+  async schedule(accountId) {
+    this.unschedule(accountId);
+    if (!this.running || await this.isPaused(accountId)) return;
+
+    const tokens = await this.tokenManager.getTokens(accountId);
+    if (!tokens || !tokens.refresh_token) return;
+
+    const expiresAt = this.tokenManager.getOAuthClient(tokens).getExpiresAt(tokens);
+    if (!expiresAt) return;
+
+    const delay = expiresAt - this.refreshBefore - Date.now();
+    if (delay <= 0) {
+      await this.refresh(accountId);
+      return;
+    }
+
+    // Long timers drift across sleep, so wake up periodically and re-plan
+    if (delay > this.maxTimerDelay) {
+      this.setTimer(accountId, this.maxTimerDelay, () => this.schedule(accountId));
+    } else {
+      this.setTimer(accountId, delay, () => this.refresh(accountId));
+    }
+  }
+
+  /**
+   * Cancel the pending refresh of one account
+   * @param {string} accountId - Account to unschedule
+   */
+  unschedule(accountId) {
+    const timer = this.timers.get(accountId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(accountId);
+    }
+  }
+
+  /**
+   * Refresh an account's tokens now
+   * Failures keep the tokens and report 'session-expiring' until they run out; after
+   * that, an unreachable provider is reported as 'offline' and retried, a rejected
+   * grant as 'expired'
+   * @param {string} accountId - Account to refresh
+   * @returns {Promise<void>}
+   */
+  async refresh(accountId) {
+    this.unschedule(accountId);
+    if (await this.isPaused(accountId)) return;
+
+    const tokens = await this.tokenManager.getTokens(accountId);
+    if (!tokens || !tokens.refresh_token) return;
+
+    // Another app instance may already have refreshed the shared tokens
+    const expiresAt = this.tokenManager.getOAuthClient(tokens).getExpiresAt(tokens);
+    if (expiresAt && expiresAt - Date.now() > this.refreshBefore) {
+      this.onStatusChange(accountId, {
+        state: 'authenticated',
+        isAuthenticated: true,
+        accountId,
+        expiresAt
+      });
+      await this.schedule(accountId);
+      return;
+    }
+
+    try {
+      console.log(`Refreshing tokens ahead of expiry for ${accountId}`);
+      const tokenData = await this.tokenManager.refreshTokens(tokens.refresh_token, accountId, { clearOnFailure: false });
+
+      this.onStatusChange(accountId, {
+        state: 'authenticated',
+        isAuthenticated: true,
+        accountId,
+        expiresAt: this.tokenManager.getOAuthClient(tokenData).getExpiresAt(tokenData)
+      });
+
+      await this.schedule(accountId);
+    } catch (error) {
+      const remaining = expiresAt ? expiresAt - Date.now() : 0;
+
+      if (remaining <= 0 && OAuthError.isTransient(error)) {
+        console.warn(`Provider unreachable and the access token for ${accountId} has expired, staying offline:`, error.message);
+        this.onStatusChange(accountId, {
+          state: 'offline',
+          isAuthenticated: true,
+          accountId,
+          expiresAt,
+          error: error.message
+        });
+        this.setTimer(accountId, this.retryDelay, () => this.refresh(accountId));
+        return;
+      }
+
+      if (remaining <= 0 || OAuthError.isInvalidGrant(error)) {
+        console.warn(`Background refresh failed and the session for ${accountId} has expired:`, error.message);
+        this.onStatusChange(accountId, {
+          state: 'expired',
+          isAuthenticated: false,
+          accountId,
+          expiresAt,
+          error: error.message
+        });
+        return;
+      }
+
+      console.warn(`Background refresh failed for ${accountId}, session expires in ${Math.round(remaining / 1000)}s:`, error.message);
+      this.onStatusChange(accountId, {
+        state: 'session-expiring',
+        isAuthenticated: true,
+        accountId,
+        expiresAt,
+        error: error.message
+      });
+
+      this.setTimer(accountId, Math.min(this.retryDelay, remaining), () => this.refresh(accountId));
+    }
+  }
+
+  /**
+   * @private
+   */
+  setTimer(accountId, delay, callback) {
+    this.timers.set(accountId, setTimeout(() => {
+      this.timers.delete(accountId);
+      callback().catch(error => {
+        console.error('Scheduled token refresh failed:', error.message);
+      });
+    }, delay));
+  }
+
+  /**
+   * Re-plan all timers if the wall clock jumped since the last check
+   * @private
+   */
+  checkClock() {
+    const now = Date.now();
+    const drift = now - this.lastClockCheck - this.clockCheckInterval;
+    this.lastClockCheck = now;
+
+    if (Math.abs(drift) > this.clockJumpThreshold) {
+      console.log(`System clock changed by ${Math.round(drift / 1000)}s, rescheduling token refresh`);
+      this.rescheduleAll().catch(error => {
+        console.error('Failed to reschedule token refresh:', error.message);
+      });
+    }
+  }
+}
+
+module.exports = RefreshScheduler;
@@ -0,0 +1,280 @@
+const { TokenStorage } = require('./token-manager');
+
+/**
+ * Revokes tokens at the provider through a persistent queue
+ * Tokens are queued before they are sent, so a revocation interrupted by a quit or
+ * crash is retried on the next start; entries leave the queue once revoked. Queued
+ * entries live in the token store. Every instance updates the same queue entry, so
+ * updates are made under a lock file.
+ */
+class RevocationQueue {
+  constructor(oauthPKCE, storage = null, options = {}) {
+    this.oauthPKCE = oauthPKCE;
+    this.storage = storage || new TokenStorage('electron-oauth-app', 'pending-revocations');
+    this.retryDelays = options.retryDelays || [1000, 3000]; // immediate retries before queueing
+    this.retryInterval = options.retryInterval || 5 * 60 * 1000; // 5 minutes
+    this.maxAge = options.maxAge || 30 * 24 * 60 * 60 * 1000; // give up after 30 days
+    this.retryTimer = null;
+    this.lock = options.lock || null; // RefreshLock shared with the other instances
+    // Maps a queued entry's provider profile back to its OAuth client
+    this.resolveClient = options.resolveClient || (() => this.oauthPKCE);
+  }
+
+  /**
+   * Revoke the refresh token, then the access token, queueing any failures
+   * @param {Object} tokens - Stored token data
+   * @param {OAuthPKCE} [oauthPKCE] - Client of the provider that issued the tokens
+   * @returns {Promise<Object>} - { revoked, queued } counts
+   */
+  async revokeTokens(tokens, oauthPKCE = this.oauthPKCE) {
+    return this.revokeQueued(await this.enqueueTokens([tokens], oauthPKCE), oauthPKCE);
+  }
+
+  /**
+   * Queue the tokens of signed-out token sets before they are deleted locally
+   * @param {Object[]} tokenSets - Stored token data
+   * @param {OAuthPKCE} [oauthPKCE] - Client of the provider that issued the tokens
+   * @returns {Promise<Object[]>} - The queued entries, for revokeQueued
+   */
+  async enqueueTokens(tokenSets, oauthPKCE = this.oauthPKCE) {
+    const entries = this.createEntries(tokenSets, oauthPKCE);
+    if (entries.length) {
+      await this.updateQueue(queue => [...queue, ...entries]);
+    }
+    return entries;
+  }
+
+  /**
+   * Revocation entries for token sets, refresh tokens before access tokens
+   * @param {Object[]} tokenSets - Stored token data
+   * @param {OAuthPKCE} [oauthPKCE] - Client of the provider that issued the tokens
+   * @returns {Object[]} - Entries; none if the provider has no revocation endpoint
+   */
+  createEntries(tokenSets, oauthPKCE = this.oauthPKCE) {
+    const entries = [];
+    for (const tokens of tokenSets) {
+      if (tokens.refresh_token) {
+        entries.push(this.createEntry(tokens.refresh_token, 'refresh_token', oauthPKCE, tokens.provider));
+      }
+      if (tokens.access_token) {
+        entries.push(this.createEntry(tokens.access_token, 'access_token', oauthPKCE, tokens.provider));
+      }
+    }
+
+    if (!entries.length || !oauthPKCE.revocationUrl) {
+      if (entries.length) {
+        console.log('Provider has no revocation endpoint, skipping token revocation');
+      }
+      return [];
+    }
+    return entries;
+  }
+
+  /**
+   * Revoke queued entries now, with a few quick retries each
+   * Revoked entries leave the queue; the rest stay for the periodic retry.
+   * @param {Object[]} entries - Entries from enqueueTokens
+   * @param {OAuthPKCE} [oauthPKCE] - Client of the provider that issued the tokens
+   * @returns {Promise<Object>} - { revoked, queued } counts
+   */
+  async revokeQueued(entries, oauthPKCE = this.oauthPKCE) {
+    if (!entries.length) {
+      return { revoked: 0, queued: 0 };
+    }
+
+    const settled = new Set();
+    const attempts = new Map();
+    for (const entry of entries) {
+      const key = RevocationQueue.getEntryKey(entry);
+      if (await this.revokeWithRetry(entry, oauthPKCE)) {
+        settled.add(key);
+      } else {
+        attempts.set(key, entry.attempts);
+      }
+    }
+
+    try {
+      await this.settle(settled, attempts);
+    } catch (error) {
+      console.warn('Could not update the revocation queue:', error.message);
+    }
+    if (attempts.size) {
+      console.log(`Kept ${attempts.size} token revocation(s) queued for retry`);
+      this.scheduleRetry();
+    }
+    return { revoked: settled.size, queued: attempts.size };
+  }
+
+  /**
+   * Build a queue entry that remembers where it has to be revoked
+   * @private
+   */
+  createEntry(token, tokenTypeHint, oauthPKCE, provider = null) {
+    return {
+      token,
+      token_type_hint: tokenTypeHint,
+      revocation_url: oauthPKCE.revocationUrl,
+      provider,
+      queued_at: Date.now(),
+      attempts: 0
+    };
+  }
+
+  /**
+   * Try to revoke one token, with a few quick retries
+   * @private
+   */
+  async revokeWithRetry(entry, oauthPKCE) {
+    for (let attempt = 0; attempt <= this.retryDelays.length; attempt++) {
+      try {
+        entry.attempts++;
+        await oauthPKCE.revokeToken(entry.token, entry.token_type_hint, entry.revocation_url);
+        console.log(`Revoked ${entry.token_type_hint} at provider`);
+        return true;
+      } catch (error) {
+        console.warn(`Revocation attempt ${entry.attempts} failed:`, error.message);
+        if (attempt < this.retryDelays.length) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelays[attempt]));
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Retry all queued revocations once
+   * @returns {Promise<number>} - Number of entries still queued
+   */
+  async flush() {
+    const queue = await this.getQueue();
+    if (!queue.length) {
+      return 0;
+    }
+
+    // The lock is not held while revoking; entries queued meanwhile are kept below
+    const settled = new Set();
+    const attempts = new Map();
+    for (const entry of queue) {
+      const key = RevocationQueue.getEntryKey(entry);
+      if (Date.now() - entry.queued_at > this.maxAge) {
+        console.warn(`Dropping queued ${entry.token_type_hint} revocation after ${entry.attempts} attempts`);
+        settled.add(key);
+        continue;
+      }
+
+      try {
+        await this.resolveClient(entry.provider).revokeToken(entry.token, entry.token_type_hint, entry.revocation_url);
+        console.log(`Revoked queued ${entry.token_type_hint} at provider`);
+        settled.add(key);
+      } catch (error) {
+        attempts.set(key, entry.attempts + 1);
+      }
+    }
+
+    const remaining = await this.settle(settled, attempts);
+    if (remaining.length) {
+      this.scheduleRetry();
+    }
+    return remaining.length;
+  }
+
+  /**
+   * Drop revoked (or given up) entries from the queue and record attempts on the rest
+   * Entries queued by others since they were read are kept.
+   * @private
+   * @param {Set<string>} settled - Keys of entries to remove
+   * @param {Map<string, number>} attempts - Key -> attempts made so far
+   * @returns {Promise<Object[]>} - Entries still queued
+   */
+  async settle(settled, attempts) {
+    return this.updateQueue(current => current
+      .filter(entry => !settled.has(RevocationQueue.getEntryKey(entry)))
+      .map(entry => {
+        const attempted = attempts.get(RevocationQueue.getEntryKey(entry));
+        return attempted ? { ...entry, attempts: Math.max(entry.attempts, attempted) } : entry;
+      }));
+  }
+
+  /**
+   * Read, change and write the queue under the lock
+   * @private
+   * @param {Function} update - Gets the current entries, returns the new ones
+   * @returns {Promise<Object[]>} - The entries written
+   */
+  async updateQueue(update) {
+    const release = this.lock ? await this.lock.acquire('revocation-queue') : null;
+
+    try {
+      const queue = update(await this.readQueue());
+      await this.saveQueue(queue);
+      return queue;
+    } finally {
+      if (release) {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Retry the queue after retryInterval
+   * @private
+   */
+  scheduleRetry() {
+    if (this.retryTimer) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush().catch(error => {
+        console.error('Failed to flush revocation queue:', error.message);
+      });
+    }, this.retryInterval);
+  }
+
+  /**
+   * Stop the pending retry timer (e.g. on quit)
+   */
+  stop() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getQueue() {
+    const queue = await this.storage.getTokens();
+    return Array.isArray(queue) ? queue : [];
+  }
+
+  /**
+   * Like getQueue, but fails instead of reading an unreadable queue as empty
+   * @private
+   */
+  async readQueue() {
+    const queue = await this.storage.readTokens();
+    return Array.isArray(queue) ? queue : [];
+  }
+
+  /**
+   * Identifies an entry across reads of the queue
+   * @private
+   */
+  static getEntryKey(entry) {
+    return `${entry.token_type_hint}\0${entry.token}`;
+  }
+
+  /**
+   * @private
+   */
+  async saveQueue(queue) {
+    if (queue.length) {
+      await this.storage.storeTokens(queue);
+    } else {
+      await this.storage.deleteTokens();
+    }
+  }
+}
+
+module.exports = RevocationQueue;
@@ -0,0 +1,128 @@
+/**
+ * Locks or ends the session after inactivity, screen lock or suspend
+ * Watches the system idle time and power events; what happens is up to the
+ * onTrigger callback (lock the windows or log out), as configured per deployment.
+ */
+class SessionPolicy {
+  constructor(options = {}) {
+    this.powerMonitor = options.powerMonitor;
+    this.action = options.action || 'lock'; // lock | logout
+    this.idleTimeout = options.idleTimeout || 0; // seconds; 0 disables the idle check
+    this.onScreenLock = options.onScreenLock || false;
+    this.onSuspend = options.onSuspend || false;
+    this.checkInterval = options.checkInterval || 15 * 1000;
+    // Called with (action, reason) when the policy fires
+    this.onTrigger = options.onTrigger || (async () => {});
+
+    this.idleTimer = null;
+    this.idleTriggered = false; // fired for the current idle period
+    this.running = false;
+
+    this.handleScreenLock = () => this.trigger('screen-locked');
+    this.handleSuspend = () => this.trigger('suspend');
+  }
+
+  /**
+   * Build a policy from OAUTH_SESSION_* settings
+   * @param {Object} env - Environment, usually process.env
+   * @param {Object} options - Extra constructor options (powerMonitor, onTrigger)
+   * @returns {SessionPolicy}
+   */
+  static fromEnv(env, options = {}) {
+    const action = (env.OAUTH_SESSION_IDLE_ACTION || 'lock').toLowerCase();
+    if (!['lock', 'logout'].includes(action)) {
+      throw new Error(`OAUTH_SESSION_IDLE_ACTION must be "lock" or "logout", got "${action}"`);
+    }
+
+    return new SessionPolicy({
+      ...options,
+      action,
+      idleTimeout: parseInt(env.OAUTH_SESSION_IDLE_TIMEOUT_SECONDS, 10) || 0,
+      onScreenLock: env.OAUTH_SESSION_LOCK_ON_SCREEN_LOCK === 'true',
+      onSuspend: env.OAUTH_SESSION_LOCK_ON_SUSPEND === 'true'
+    });
+  }
+
+  /**
+   * Whether any trigger is configured
+   */
+  get enabled() {
+    return this.idleTimeout > 0 || this.onScreenLock || this.onSuspend;
+  }
+
+  /**
+   * Start watching for inactivity and power events
+   */
+  start() {
+    if (this.running || !this.enabled) return;
+    this.running = true;
+
+    if (this.onScreenLock) {
+      this.powerMonitor.on('lock-screen', this.handleScreenLock);
+    }
+    if (this.onSuspend) {
+      this.powerMonitor.on('suspend', this.handleSuspend);
+    }
+    if (this.idleTimeout > 0) {
+      this.idleTimer = setInterval(() => this.checkIdle(), this.checkInterval);
+    }
+
+    console.log(`Session policy active: ${this.action} after ${this.describeTriggers()}`);
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    this.powerMonitor.removeListener('lock-screen', this.handleScreenLock);
+    this.powerMonitor.removeListener('suspend', this.handleSuspend);
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * Fire once per idle period when the system idle time passes the threshold
+   * @private
+   */
+  checkIdle() {
+    const idleSeconds = this.powerMonitor.getSystemIdleTime();
+
+    if (idleSeconds < this.idleTimeout) {
+      this.idleTriggered = false;
+      return;
+    }
+
+    if (!this.idleTriggered) {
+      this.idleTriggered = true;
+      this.trigger('idle');
+    }
+  }
+
+  /**
+   * @private
+   */
+  trigger(reason) {
+    console.log(`Session policy triggered (${reason}), applying ${this.action}`);
+    this.onTrigger(this.action, reason).catch(error => {
+      console.error(`Failed to ${this.action} session:`, error.message);
+    });
+  }
+
+  /**
+   * @private
+   */
+  describeTriggers() {
+    const triggers = [];
+    if (this.idleTimeout > 0) triggers.push(`${this.idleTimeout}s idle`);
+    if (this.onScreenLock) triggers.push('screen lock');
+    if (this.onSuspend) triggers.push('suspend');
+    return triggers.join(', ');
+  }
+}
+
+module.exports = SessionPolicy;
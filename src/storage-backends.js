@@ -0,0 +1,430 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/*
+ * Token storage backends
+ * Every backend implements the subset of the keytar API that TokenStorage uses:
+ *   getPassword(service, account), setPassword(service, account, password),
+ *   deletePassword(service, account), findCredentials(service)
+ * plus isAvailable() for detection.
+ */
+
+/**
+ * OS credential store (Keychain, Credential Vault, Secret Service) through keytar
+ * keytar is loaded on first use, so a missing native module or Secret Service
+ * only makes this backend unavailable instead of breaking the app.
+ */
+class KeytarBackend {
+  constructor() {
+    this.name = 'keytar';
+    this.keytar = null;
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!this.keytar) {
+      this.keytar = require('keytar');
+    }
+    return this.keytar;
+  }
+
+  /**
+   * Check that keytar loads and the credential store answers
+   * @param {string} service - Service name to probe
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable(service) {
+    try {
+      await this.load().findCredentials(service);
+      return true;
+    } catch (error) {
+      console.warn('OS credential store unavailable:', error.message);
+      return false;
+    }
+  }
+
+  async getPassword(service, account) {
+    return this.load().getPassword(service, account);
+  }
+
+  async setPassword(service, account, password) {
+    return this.load().setPassword(service, account, password);
+  }
+
+  async deletePassword(service, account) {
+    return this.load().deletePassword(service, account);
+  }
+
+  async findCredentials(service) {
+    return this.load().findCredentials(service);
+  }
+}
+
+/**
+ * Encrypted files under the app's user data directory
+ * One file per entry, written atomically, so instances sharing the directory
+ * behave like they do with the OS credential store. Entries are encrypted with
+ * Electron safeStorage where it is backed by the OS; otherwise with an AES-256-GCM
+ * key derived from the user, host and a random salt, which keeps copied files
+ * unreadable elsewhere but does not protect against other processes of the same user.
+ */
+class EncryptedFileBackend {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory;
+    this.safeStorage = options.safeStorage || null;
+    this.derivedKey = null;
+  }
+
+  /**
+   * Check that the directory is writable
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+      fs.accessSync(this.directory, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      console.warn('Encrypted token file store unavailable:', error.message);
+      return false;
+    }
+  }
+
+  async getPassword(service, account) {
+    const entry = this.readEntry(this.getEntryFile(service, account));
+    return entry ? entry.password : null;
+  }
+
+  async setPassword(service, account, password) {
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+
+    const file = this.getEntryFile(service, account);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, this.encrypt(JSON.stringify({ service, account, password })), { mode: 0o600 });
+    fs.renameSync(tempFile, file);
+  }
+
+  async deletePassword(service, account) {
+    try {
+      fs.unlinkSync(this.getEntryFile(service, account));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async findCredentials(service) {
+    let files;
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.entry'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files) {
+      try {
+        const entry = this.readEntry(path.join(this.directory, file));
+        if (entry && entry.service === service) {
+          entries.push({ account: entry.account, password: entry.password });
+        }
+      } catch (error) {
+        // Left in place: getPassword keeps reporting it instead of treating it as missing
+        console.error(error.message);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Entry file for a service/account pair (account IDs contain URL characters)
+   * @private
+   */
+  getEntryFile(service, account) {
+    const hash = crypto.createHash('sha256').update(`${service}\0${account}`).digest('hex').slice(0, 32);
+    return path.join(this.directory, `${hash}.entry`);
+  }
+
+  /**
+   * Read and decrypt one entry file
+   * @private
+   * @returns {Object|null} - { service, account, password }, or null if the file does not exist
+   * @throws {Error} - If the file exists but can't be read, decrypted or parsed
+   */
+  readEntry(file) {
+    let data;
+    try {
+      data = fs.readFileSync(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(this.decrypt(data));
+    } catch (error) {
+      // e.g. written under another OS user or a reset keyring; never reported as missing,
+      // so read-modify-write updates don't overwrite it
+      throw new Error(`Could not decrypt token file ${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether safeStorage encrypts with an OS-protected key
+   * On Linux without a keyring Electron falls back to a hard-coded key ("basic_text")
+   * @private
+   */
+  canUseSafeStorage() {
+    if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) {
+      return false;
+    }
+    if (process.platform === 'linux' && typeof this.safeStorage.getSelectedStorageBackend === 'function') {
+      return this.safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  encrypt(plaintext) {
+    if (this.canUseSafeStorage()) {
+      return Buffer.concat([Buffer.from('S1'), this.safeStorage.encryptString(plaintext)]);
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getDerivedKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return Buffer.concat([Buffer.from('K1'), iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  /**
+   * Decrypt an entry; the prefix tells which key it was written with
+   * @private
+   */
+  decrypt(data) {
+    const scheme = data.subarray(0, 2).toString();
+
+    if (scheme === 'S1') {
+      if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) {
+        throw new Error('safeStorage is not available');
+      }
+      return this.safeStorage.decryptString(data.subarray(2));
+    }
+
+    if (scheme === 'K1') {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.getDerivedKey(), data.subarray(2, 14));
+      decipher.setAuthTag(data.subarray(14, 30));
+      return Buffer.concat([decipher.update(data.subarray(30)), decipher.final()]).toString('utf8');
+    }
+
+    throw new Error('Unknown token file format');
+  }
+
+  /**
+   * Key for hosts without usable safeStorage, derived from the user, host and a salt file
+   * @private
+   */
+  getDerivedKey() {
+    if (this.derivedKey) {
+      return this.derivedKey;
+    }
+
+    const saltFile = path.join(this.directory, 'salt');
+    let salt;
+    try {
+      salt = fs.readFileSync(saltFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+      try {
+        fs.writeFileSync(saltFile, crypto.randomBytes(16), { mode: 0o600, flag: 'wx' });
+      } catch (writeError) {
+        // Another instance created it first
+        if (writeError.code !== 'EEXIST') throw writeError;
+      }
+      salt = fs.readFileSync(saltFile);
+    }
+
+    const secret = `${os.userInfo().username}\0${os.hostname()}`;
+    this.derivedKey = crypto.scryptSync(secret, salt, 32);
+    return this.derivedKey;
+  }
+}
+
+/**
+ * Picks the first working backend on first use and moves entries over from the others
+ * With preference 'auto' the OS credential store is tried before the encrypted file
+ * store; 'keytar' or 'file' force one backend.
+ */
+class AutoBackend {
+  constructor(options = {}) {
+    this.backends = options.backends; // [KeytarBackend, EncryptedFileBackend]
+    this.preferred = options.preferred || 'auto';
+    this.service = options.service || 'electron-oauth-app';
+    this.selected = null;
+    this.selecting = null;
+    this.unavailable = new Set(); // backends that failed detection
+  }
+
+  /**
+   * Name of the backend in use, or null before the first access
+   */
+  get name() {
+    return this.selected ? this.selected.name : null;
+  }
+
+  /**
+   * Select the backend (once) and migrate existing entries into it
+   * @returns {Promise<Object>} - The selected backend
+   */
+  async resolve() {
+    if (!this.selecting) {
+      this.selecting = this.select().catch(error => {
+        this.selecting = null;
+        throw error;
+      });
+    }
+    return this.selecting;
+  }
+
+  /**
+   * @private
+   */
+  async select() {
+    const candidates = this.preferred === 'auto'
+      ? this.backends
+      : this.backends.filter(backend => backend.name === this.preferred);
+    if (!candidates.length) {
+      throw new Error(`Unknown token storage backend: ${this.preferred}`);
+    }
+
+    let selected = null;
+    for (const backend of candidates) {
+      if (await backend.isAvailable(this.service)) {
+        selected = backend;
+        break;
+      }
+      this.unavailable.add(backend);
+    }
+    if (!selected) {
+      throw new Error(`No usable token storage (tried ${candidates.map(backend => backend.name).join(', ')})`);
+    }
+
+    console.log(`Using ${selected.name} token storage`);
+    for (const backend of this.backends) {
+      if (backend !== selected) {
+        await this.migrate(backend, selected);
+      }
+    }
+
+    this.selected = selected;
+    return selected;
+  }
+
+  /**
+   * Move entries another backend holds into the selected one
+   * When both hold an entry, the newer one is kept (see pickNewer). The source copy
+   * is only removed once the target holds the kept value.
+   * @private
+   */
+  async migrate(source, target) {
+    if (this.unavailable.has(source)) return;
+
+    let credentials;
+    try {
+      credentials = await source.findCredentials(this.service);
+    } catch (error) {
+      console.warn(`Could not read ${source.name} token storage for migration:`, error.message);
+      return;
+    }
+
+    if (!credentials.length) return;
+
+    console.log(`Migrating ${credentials.length} stored entries from ${source.name} to ${target.name} token storage...`);
+    for (const { account, password } of credentials) {
+      try {
+        const existing = await target.getPassword(this.service, account);
+        const kept = existing === null ? password : AutoBackend.pickNewer(password, existing);
+
+        if (kept !== existing) {
+          await target.setPassword(this.service, account, kept);
+          if ((await target.getPassword(this.service, account)) !== kept) {
+            throw new Error(`${target.name} token storage did not keep the entry`);
+          }
+        }
+        await source.deletePassword(this.service, account);
+      } catch (error) {
+        console.warn(`Failed to migrate stored entry ${account}, keeping it in ${source.name} token storage:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Choose between two copies of an entry
+   * Token sets carry issued_at, so the later one wins. Lists (the revocation queue)
+   * are merged. Anything else comes from the source: entries are removed from a
+   * backend once migrated, so what the source still holds was written after the
+   * target copy, while the target was unavailable.
+   * @param {string} source - Entry in the backend being migrated from
+   * @param {string} target - Entry in the selected backend
+   * @returns {string} - Entry to keep
+   */
+  static pickNewer(source, target) {
+    let sourceValue;
+    let targetValue;
+    try {
+      sourceValue = JSON.parse(source);
+      targetValue = JSON.parse(target);
+    } catch (error) {
+      return source;
+    }
+
+    if (Array.isArray(sourceValue) && Array.isArray(targetValue)) {
+      const merged = new Map([...targetValue, ...sourceValue].map(item => [JSON.stringify(item), item]));
+      return JSON.stringify(Array.from(merged.values()));
+    }
+
+    const sourceIssuedAt = sourceValue && sourceValue.issued_at;
+    const targetIssuedAt = targetValue && targetValue.issued_at;
+    if (typeof sourceIssuedAt === 'number' && typeof targetIssuedAt === 'number') {
+      return sourceIssuedAt > targetIssuedAt ? source : target;
+    }
+    return source;
+  }
+
+  async getPassword(service, account) {
+    return (await this.resolve()).getPassword(service, account);
+  }
+
+  async setPassword(service, account, password) {
+    return (await this.resolve()).setPassword(service, account, password);
+  }
+
+  async deletePassword(service, account) {
+    return (await this.resolve()).deletePassword(service, account);
+  }
+
+  async findCredentials(service) {
+    return (await this.resolve()).findCredentials(service);
+  }
+}
+
+module.exports = {
+  KeytarBackend,
+  EncryptedFileBackend,
+  AutoBackend
+};
@@ -0,0 +1,330 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Local channel that hands the signed-in user's access token to the spawned backends
+ * Listens on 127.0.0.1 only. Every backend gets its own secret through its
+ * environment and has to send it as a bearer token. Backends fetch the current
+ * token with GET /token and keep GET /events (server-sent events) open to receive
+ * rotated tokens and logouts, so they never keep using a signed-out user's credentials.
+ * DPoP-bound tokens are useless without a proof and the key stays in this process, so
+ * backends get one per upstream request from POST /proof.
+ */
+class TokenBroker {
+  constructor(options = {}) {
+    this.host = '127.0.0.1';
+    this.server = null;
+    this.port = null;
+    // Resolves to { account_id, access_token, token_type, expires_at, scope } or null
+    this.tokenSource = options.tokenSource || (async () => null);
+    // Resolves to { account_id, access_token, dpop } for a DPoP-bound token, or null
+    this.proofSource = options.proofSource || (async () => null);
+    this.keepAliveInterval = options.keepAliveInterval || 30 * 1000;
+    this.keepAliveTimer = null;
+
+    this.secrets = new Map(); // backend name -> secret
+    this.streams = new Set(); // open /events responses
+    this.lastPublished = null; // { accountId, tokenHash } of the last pushed token
+  }
+
+  /**
+   * Base URL of the broker, once started
+   */
+  get url() {
+    return this.port ? `http://${this.host}:${this.port}` : null;
+  }
+
+  /**
+   * Start listening on a free loopback port
+   * @returns {Promise<string>} - Broker URL
+   */
+  async start() {
+    if (this.server) {
+      return this.url;
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('Token broker request failed:', error.message);
+        if (!res.headersSent) {
+          this.sendJson(res, 500, { error: 'internal_error' });
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.server.address().port;
+    this.keepAliveTimer = setInterval(() => this.broadcast(':keep-alive\n\n'), this.keepAliveInterval);
+    console.log('Token broker listening on', this.url);
+    return this.url;
+  }
+
+  /**
+   * Create credentials for a backend about to be spawned
+   * @param {string} name - Backend name
+   * @returns {Object} - Environment variables for the backend process
+   */
+  registerBackend(name) {
+    if (!this.url) {
+      throw new Error('Token broker is not running');
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    this.secrets.set(name, secret);
+    return {
+      AUTH_BROKER_URL: this.url,
+      AUTH_BROKER_SECRET: secret
+    };
+  }
+
+  /**
+   * Set where the current token comes from
+   * @param {Function} tokenSource - async () => token payload or null
+   */
+  setTokenSource(tokenSource) {
+    this.tokenSource = tokenSource;
+  }
+
+  /**
+   * Set where DPoP proofs for the current token come from
+   * @param {Function} proofSource - async ({ htm, htu, nonce }) => proof payload or null
+   */
+  setProofSource(proofSource) {
+    this.proofSource = proofSource;
+  }
+
+  /**
+   * Push the current token to connected backends if it changed
+   * Signing out of the last account is pushed as a logout
+   * @returns {Promise<void>}
+   */
+  async publishToken() {
+    const token = await this.tokenSource();
+
+    if (!token) {
+      if (this.lastPublished) {
+        this.publishLogout(this.lastPublished.accountId);
+      }
+      return;
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(token.access_token).digest('hex');
+    if (this.lastPublished && this.lastPublished.tokenHash === tokenHash) {
+      return;
+    }
+
+    this.lastPublished = { accountId: token.account_id, tokenHash };
+    this.broadcast(this.formatEvent('token', token));
+  }
+
+  /**
+   * Tell connected backends to drop the credentials of a signed-out account
+   * @param {string} accountId - Account that was signed out
+   */
+  publishLogout(accountId) {
+    if (this.lastPublished && this.lastPublished.accountId === accountId) {
+      this.lastPublished = null;
+    }
+    this.broadcast(this.formatEvent('logout', { account_id: accountId }));
+  }
+
+  /**
+   * Stop listening and close all event streams
+   */
+  close() {
+    clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+
+    for (const res of this.streams) {
+      res.end();
+    }
+    this.streams.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      this.port = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async handleRequest(req, res) {
+    // Only local, non-browser clients: browsers send Origin, and a foreign Host
+    // header means a DNS rebinding attempt
+    if (req.headers.origin || req.headers.host !== `${this.host}:${this.port}`) {
+      this.sendJson(res, 403, { error: 'forbidden' });
+      return;
+    }
+
+    const backend = this.authenticate(req);
+    if (!backend) {
+      this.sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, this.url);
+
+    if (req.method === 'GET' && pathname === '/token') {
+      const token = await this.tokenSource();
+      if (!token) {
+        this.sendJson(res, 404, { error: 'not_signed_in' });
+        return;
+      }
+      this.sendJson(res, 200, token);
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/proof') {
+      const body = await this.readJson(req);
+      const request = body && this.parseProofRequest(body);
+      if (!request) {
+        this.sendJson(res, 400, { error: 'invalid_request' });
+        return;
+      }
+
+      const token = await this.tokenSource();
+      if (!token) {
+        this.sendJson(res, 404, { error: 'not_signed_in' });
+        return;
+      }
+      if (token.token_type !== 'DPoP') {
+        this.sendJson(res, 409, { error: 'not_dpop_bound' });
+        return;
+      }
+
+      // The proof covers the token returned with it, which may be newer than the backend's
+      const proof = await this.proofSource(request);
+      if (!proof) {
+        this.sendJson(res, 404, { error: 'not_signed_in' });
+        return;
+      }
+      this.sendJson(res, 200, proof);
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+      });
+      this.streams.add(res);
+      req.on('close', () => this.streams.delete(res));
+      console.log(`${backend} subscribed to token updates`);
+
+      // Start with the current state so the backend needs no separate /token call
+      const token = await this.tokenSource();
+      res.write(token ? this.formatEvent('token', token) : this.formatEvent('logout', { account_id: null }));
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'not_found' });
+  }
+
+  /**
+   * Read a small JSON request body
+   * @private
+   * @returns {Promise<Object|null>} - null if the body is too large or not JSON
+   */
+  async readJson(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > 16 * 1024) {
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate a POST /proof body: { htm, htu, nonce? }
+   * @private
+   * @returns {Object|null} - { htm, htu, nonce } or null if invalid
+   */
+  parseProofRequest({ htm, htu, nonce }) {
+    if (typeof htm !== 'string' || !/^[A-Za-z]+$/.test(htm) || typeof htu !== 'string') {
+      return null;
+    }
+    if (nonce !== undefined && nonce !== null && typeof nonce !== 'string') {
+      return null;
+    }
+
+    try {
+      const url = new URL(htu);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return null;
+      }
+    } catch (error) {
+      return null;
+    }
+    return { htm: htm.toUpperCase(), htu, nonce: nonce || null };
+  }
+
+  /**
+   * Find the backend a request's bearer secret belongs to
+   * @private
+   */
+  authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      return null;
+    }
+
+    const presented = Buffer.from(match[1]);
+    for (const [name, secret] of this.secrets) {
+      const expected = Buffer.from(secret);
+      if (presented.length === expected.length && crypto.timingSafeEqual(presented, expected)) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  /**
+   * @private
+   */
+  broadcast(message) {
+    for (const res of this.streams) {
+      res.write(message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = TokenBroker;
@@ -0,0 +1,139 @@
+const { decodeJwt } = require('./id-token-validator');
+const { TokenManager } = require('./token-manager');
+
+/**
+ * Read-only view of an account's tokens for the developer inspector (--dev only)
+ * Token values never leave the main process: snapshots carry decoded claims and
+ * masked values only.
+ */
+class TokenInspector {
+  constructor(options = {}) {
+    this.tokenManager = options.tokenManager;
+    this.storageBackend = options.storageBackend || null;
+  }
+
+  /**
+   * Describe an account's stored tokens
+   * @param {string} accountId - Account to inspect
+   * @returns {Promise<Object>} - Snapshot for the inspector window
+   */
+  async getSnapshot(accountId) {
+    const tokens = await this.tokenManager.getTokens(accountId);
+    const snapshot = {
+      accountId,
+      takenAt: Date.now(),
+      signedIn: Boolean(tokens),
+      storageBackend: this.storageBackend ? this.storageBackend.name : null,
+      lastRefresh: this.tokenManager.getLastRefresh(accountId),
+      offline: this.tokenManager.getOfflineState(accountId),
+      refreshing: this.tokenManager.refreshPromises.has(accountId)
+    };
+    if (!tokens) {
+      return snapshot;
+    }
+
+    const oauthClient = this.tokenManager.getOAuthClient(tokens);
+    const idToken = TokenInspector.describeToken(tokens.id_token);
+    const grants = [];
+    for (const grant of await this.tokenManager.getGrantTokens(accountId)) {
+      grants.push({
+        scopes: TokenManager.getGrantedScopes(grant.tokens),
+        expiresAt: oauthClient.getExpiresAt(grant.tokens)
+      });
+    }
+
+    return {
+      ...snapshot,
+      provider: tokens.provider || null,
+      tokenType: tokens.token_type || 'Bearer',
+      dpopKeyThumbprint: tokens.dpop_jkt || null,
+      issuedAt: tokens.issued_at ? tokens.issued_at * 1000 : null,
+      expiresAt: oauthClient.getExpiresAt(tokens),
+      grantedScopes: TokenManager.getGrantedScopes(tokens),
+      grants,
+      accessToken: TokenInspector.describeToken(tokens.access_token),
+      refreshToken: TokenInspector.describeToken(tokens.refresh_token),
+      idToken: idToken ? {
+        ...idToken,
+        // Prefer the claims that passed validation at login or refresh
+        claims: tokens.id_token_claims || idToken.claims,
+        validated: Boolean(tokens.id_token_claims)
+      } : null
+    };
+  }
+
+  /**
+   * Refresh an account's tokens now, keeping them even if the grant is rejected
+   * @param {string} accountId - Account to refresh
+   * @returns {Promise<Object>} - { success, message }
+   */
+  async forceRefresh(accountId) {
+    const tokens = await this.tokenManager.getTokens(accountId);
+    if (!tokens || !tokens.refresh_token) {
+      return { success: false, message: 'No refresh token stored for this account' };
+    }
+
+    try {
+      await this.tokenManager.refreshTokens(tokens.refresh_token, accountId, { clearOnFailure: false });
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Mark an account's access token as expired without touching the token itself
+   * The next use of the token goes through the normal expired-token path
+   * @param {string} accountId - Account whose token to expire
+   * @returns {Promise<Object>} - { success, message }
+   */
+  async simulateExpiry(accountId) {
+    try {
+      await this.tokenManager.tokenStorage.updateTokens({ expires_at: Math.floor(Date.now() / 1000) - 1 }, accountId);
+      console.log(`Simulated access token expiry for ${accountId}`);
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Mask a token value and decode it if it is a JWT
+   * @param {string|undefined} value - Token value
+   * @returns {Object|null} - { masked, length, format, header, claims } or null if absent
+   */
+  static describeToken(value) {
+    if (!value) {
+      return null;
+    }
+
+    let decoded = null;
+    try {
+      decoded = decodeJwt(value);
+    } catch (error) {
+      // Opaque token (only the authorization server can read it)
+    }
+
+    return {
+      masked: TokenInspector.mask(value),
+      length: value.length,
+      format: decoded ? 'jwt' : 'opaque',
+      header: decoded ? decoded.header : null,
+      claims: decoded ? decoded.payload : null
+    };
+  }
+
+  /**
+   * Show just enough of a secret to tell tokens apart
+   * @param {string} value - Secret value
+   * @returns {string}
+   */
+  static mask(value) {
+    if (value.length < 24) {
+      return '•'.repeat(8);
+    }
+    return `${value.slice(0, 4)}…${value.slice(-4)}`;
+  }
+}
+
+module.exports = TokenInspector;
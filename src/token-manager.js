@@ -1,23 +1,36 @@
-const keytar = require('keytar');
+const crypto = require('crypto');
+const { KeytarBackend } = require('./storage-backends');
+const OAuthError = require('./oauth-error');
+
+// Keytar account holding the single token set written by earlier versions
+const LEGACY_ACCOUNT_NAME = 'oauth-tokens';
+// Keytar account holding the list of signed-in accounts
+const ACCOUNT_INDEX_NAME = 'oauth-accounts';
+
+// Default backend when none is given: the OS credential store
+const keytarBackend = new KeytarBackend();
 
 /**
- * Secure token storage using keytar (OS credential store)
+ * Secure token storage on a pluggable backend, see storage-backends.js
+ * Defaults to the OS credential store through keytar
  */
 class TokenStorage {
-  constructor(serviceName = 'electron-oauth-app') {
+  constructor(serviceName = 'electron-oauth-app', accountName = LEGACY_ACCOUNT_NAME, backend = null) {
     this.serviceName = serviceName;
-    this.accountName = 'oauth-tokens';
+    this.accountName = accountName;
+    this.backend = backend || keytarBackend;
   }
 
   /**
-   * Store tokens securely in the OS credential store
+   * Store tokens securely in the token store
    * @param {Object} tokens - Token object containing access_token, refresh_token, etc.
+   * @param {string} [accountName] - Credential store account, defaults to this.accountName
    * @returns {Promise<void>}
    */
-  async storeTokens(tokens) {
+  async storeTokens(tokens, accountName = this.accountName) {
     try {
       const tokenData = JSON.stringify(tokens);
-      await keytar.setPassword(this.serviceName, this.accountName, tokenData);
+      await this.backend.setPassword(this.serviceName, accountName, tokenData);
       console.log('Tokens stored securely');
     } catch (error) {
       throw new Error(`Failed to store tokens: ${error.message}`);
@@ -25,29 +38,52 @@ class TokenStorage {
   }
 
   /**
-   * Retrieve tokens from the OS credential store
+   * Retrieve tokens from the token store
+   * @param {string} [accountName] - Credential store account, defaults to this.accountName
    * @returns {Promise<Object|null>} - Token object or null if not found
    */
-  async getTokens() {
+  async getTokens(accountName = this.accountName) {
     try {
-      const tokenData = await keytar.getPassword(this.serviceName, this.accountName);
-      if (!tokenData) {
-        return null;
-      }
-      return JSON.parse(tokenData);
+      return await this.readTokens(accountName);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Retrieve tokens, telling an unreadable entry apart from a missing one
+   * For read-modify-write updates, which must not overwrite an entry they could not read
+   * @param {string} [accountName] - Credential store account, defaults to this.accountName
+   * @returns {Promise<Object|null>} - Token object, or null only if nothing is stored
+   * @throws {Error} - When the store or the entry can't be read
+   */
+  async readTokens(accountName = this.accountName) {
+    let tokenData;
+    try {
+      tokenData = await this.backend.getPassword(this.serviceName, accountName);
     } catch (error) {
-      console.error('Failed to retrieve tokens:', error.message);
+      throw new Error(`Failed to retrieve tokens: ${error.message}`);
+    }
+    if (!tokenData) {
       return null;
     }
+
+    try {
+      return JSON.parse(tokenData);
+    } catch (error) {
+      throw new Error(`Failed to retrieve tokens: stored entry is corrupt (${error.message})`);
+    }
   }
 
   /**
-   * Delete tokens from the OS credential store
+   * Delete tokens from the token store
+   * @param {string} [accountName] - Credential store account, defaults to this.accountName
    * @returns {Promise<boolean>} - True if deleted successfully
    */
-  async deleteTokens() {
+  async deleteTokens(accountName = this.accountName) {
     try {
-      const deleted = await keytar.deletePassword(this.serviceName, this.accountName);
+      const deleted = await this.backend.deletePassword(this.serviceName, accountName);
       if (deleted) {
         console.log('Tokens deleted successfully');
       } else {
@@ -62,11 +98,12 @@ class TokenStorage {
 
   /**
    * Check if tokens exist in storage
+   * @param {string} [accountName] - Credential store account, defaults to this.accountName
    * @returns {Promise<boolean>} - True if tokens exist
    */
-  async hasTokens() {
+  async hasTokens(accountName = this.accountName) {
     try {
-      const tokens = await this.getTokens();
+      const tokens = await this.getTokens(accountName);
       return tokens !== null;
     } catch (error) {
       return false;
@@ -76,11 +113,12 @@ class TokenStorage {
   /**
    * Update specific token values (e.g., after refresh)
    * @param {Object} updates - Object with token updates
+   * @param {string} [accountName] - Credential store account, defaults to this.accountName
    * @returns {Promise<void>}
    */
-  async updateTokens(updates) {
+  async updateTokens(updates, accountName = this.accountName) {
     try {
-      const currentTokens = await this.getTokens();
+      const currentTokens = await this.getTokens(accountName);
       if (!currentTokens) {
         throw new Error('No existing tokens to update');
       }
@@ -90,158 +128,848 @@ class TokenStorage {
         ...updates
       };
 
-      await this.storeTokens(updatedTokens);
+      await this.storeTokens(updatedTokens, accountName);
       console.log('Tokens updated successfully');
     } catch (error) {
       throw new Error(`Failed to update tokens: ${error.message}`);
     }
   }
+
+  /**
+   * Read the index of signed-in accounts
+   * @param {Object} options - { strict } - fail instead of returning an empty index when it can't be read
+   * @returns {Promise<Object>} - { activeAccountId, accounts: [{ id, sub, iss, name, email, addedAt }] }
+   */
+  async getAccountIndex({ strict = false } = {}) {
+    const index = strict ? await this.readTokens(ACCOUNT_INDEX_NAME) : await this.getTokens(ACCOUNT_INDEX_NAME);
+    return {
+      activeAccountId: (index && index.activeAccountId) || null,
+      accounts: (index && Array.isArray(index.accounts)) ? index.accounts : []
+    };
+  }
+
+  /**
+   * Write the index of signed-in accounts
+   * @param {Object} index - { activeAccountId, accounts }
+   * @returns {Promise<void>}
+   */
+  async saveAccountIndex(index) {
+    await this.storeTokens(index, ACCOUNT_INDEX_NAME);
+  }
 }
 
 /**
  * Token manager with automatic refresh capabilities
+ * Holds one token set per signed-in account, keyed by issuer and subject
  */
 class TokenManager {
-  constructor(oauthPKCE, tokenStorage = null) {
+  constructor(oauthPKCE, tokenStorage = null, options = {}) {
     this.oauthPKCE = oauthPKCE;
     this.tokenStorage = tokenStorage || new TokenStorage();
-    this.refreshPromise = null; // Prevent concurrent refresh attempts
+    this.refreshPromises = new Map(); // accountId -> in-flight refresh, prevents concurrent attempts
+    // Serializes refreshes across app instances that share the credential store
+    this.refreshLock = options.refreshLock || null;
+    this.indexQueue = Promise.resolve(); // account index updates, one at a time
+    this.activeAccountId = null;
+    this.providerClients = new Map(); // provider profile name -> OAuthPKCE
+    this.expiryMargin = 30; // seconds; refresh slightly early so tokens don't expire in flight
+    this.refreshRetryDelays = options.refreshRetryDelays || [1000, 3000]; // retries of network/server failures
+    this.offlineRetryInterval = options.offlineRetryInterval || 30 * 1000; // between refreshes while offline
+    this.offlineAccounts = new Map(); // accountId -> { since, lastAttempt, error } while the provider is unreachable
+    this.lastRefreshes = new Map(); // accountId -> { at, success, attempts, transient, error, errorCode } of the latest refresh
+    // Called with the account ID after its sign-in tokens were stored, refreshed or removed
+    this.onTokensChanged = options.onTokensChanged || (() => {});
+    // Called with the account ID when a refresh starts, and with (accountId,
+    // { at, success, attempts, transient, error, errorCode }) when it finished
+    this.onRefreshStart = options.onRefreshStart || (() => {});
+    this.onRefresh = options.onRefresh || (() => {});
+    this.onAccountRemoved = options.onAccountRemoved || (() => {});
+  }
+
+  /**
+   * Register the OAuth client of a provider profile
+   * Tokens remember their profile, so refreshes go to that provider's token endpoint
+   * @param {string} providerName - Profile name
+   * @param {OAuthPKCE} oauthPKCE - Client for that profile
+   */
+  registerProvider(providerName, oauthPKCE) {
+    this.providerClients.set(providerName, oauthPKCE);
+  }
+
+  /**
+   * Get the OAuth client that issued a token set
+   * @param {Object|null} tokens - Stored token data
+   * @returns {OAuthPKCE}
+   */
+  getOAuthClient(tokens) {
+    return (tokens && this.providerClients.get(tokens.provider)) || this.oauthPKCE;
+  }
+
+  /**
+   * Derive the storage key for a token set from its ID token claims
+   * Tokens without validated claims fall back to the legacy single slot
+   * @param {Object} tokens - Token data
+   * @returns {string} - Account ID
+   */
+  static getAccountId(tokens) {
+    const claims = tokens && tokens.id_token_claims;
+    if (claims && claims.iss && claims.sub) {
+      return `${claims.iss}|${claims.sub}`;
+    }
+    // Without an identity, keep one slot per provider profile
+    return tokens && tokens.provider ? `${tokens.provider}|${LEGACY_ACCOUNT_NAME}` : LEGACY_ACCOUNT_NAME;
+  }
+
+  /**
+   * Split an account ID back into the identity it was derived from
+   * @param {string} accountId - Account ID from getAccountId
+   * @returns {Object} - { issuer, subject }, both null for accounts without an identity
+   */
+  static parseAccountId(accountId) {
+    const separator = accountId ? accountId.indexOf('|') : -1;
+    if (separator < 0 || accountId.endsWith(`|${LEGACY_ACCOUNT_NAME}`)) {
+      return { issuer: null, subject: null };
+    }
+    // Issuers are URLs without '|'; subjects may contain it (e.g. auth0|123)
+    return { issuer: accountId.slice(0, separator), subject: accountId.slice(separator + 1) };
+  }
+
+  /**
+   * Scopes granted to a stored token set
+   * @param {Object} tokens - Token data
+   * @returns {string[]|null} - Granted scopes, or null if unknown (tokens stored by older versions)
+   */
+  static getGrantedScopes(tokens) {
+    if (Array.isArray(tokens.granted_scopes)) {
+      return tokens.granted_scopes;
+    }
+    return tokens.scope ? tokens.scope.split(/\s+/).filter(Boolean) : null;
+  }
+
+  /**
+   * Record the granted scopes on a token response
+   * Per RFC 6749 section 5.1, an omitted scope means the requested scopes were granted
+   * @private
+   */
+  static _withGrantedScopes(tokenData, fallbackScopes) {
+    const granted = tokenData.scope ? tokenData.scope.split(/\s+/).filter(Boolean) : fallbackScopes;
+    if (granted) {
+      tokenData.granted_scopes = granted;
+    }
+    return tokenData;
+  }
+
+  /**
+   * Load the account index, migrating tokens stored by single-account versions
+   * @returns {Promise<string|null>} - Active account ID
+   */
+  async loadAccounts() {
+    const index = await this.tokenStorage.getAccountIndex();
+
+    if (!index.accounts.length) {
+      const legacyTokens = await this.tokenStorage.getTokens(LEGACY_ACCOUNT_NAME);
+      if (legacyTokens) {
+        console.log('Migrating tokens from single-account storage...');
+        const accountId = TokenManager.getAccountId(legacyTokens);
+        if (accountId !== LEGACY_ACCOUNT_NAME) {
+          await this.tokenStorage.storeTokens(legacyTokens, accountId);
+          await this.tokenStorage.deleteTokens(LEGACY_ACCOUNT_NAME);
+        }
+        await this._registerAccount(accountId, legacyTokens);
+        return this.activeAccountId;
+      }
+    }
+
+    const activeExists = index.accounts.some(account => account.id === index.activeAccountId);
+    this.activeAccountId = activeExists
+      ? index.activeAccountId
+      : (index.accounts[0] ? index.accounts[0].id : null);
+    return this.activeAccountId;
+  }
+
+  /**
+   * List signed-in accounts
+   * @returns {Promise<Object[]>} - Account summaries (no token values)
+   */
+  async listAccounts() {
+    const index = await this.tokenStorage.getAccountIndex();
+    return index.accounts.map(account => ({
+      ...account,
+      active: account.id === this.activeAccountId
+    }));
+  }
+
+  /**
+   * Get the account used when no account is specified
+   * @returns {string|null}
+   */
+  getActiveAccountId() {
+    return this.activeAccountId;
+  }
+
+  /**
+   * Make an account the default for new windows and files
+   * @param {string} accountId - Account ID from listAccounts
+   * @returns {Promise<void>}
+   */
+  async setActiveAccount(accountId) {
+    await this._updateAccountIndex(index => {
+      if (!index.accounts.some(account => account.id === accountId)) {
+        throw new Error('Unknown account');
+      }
+      index.activeAccountId = accountId;
+    });
+    this.activeAccountId = accountId;
   }
 
   /**
    * Get valid access token, refreshing if necessary
-   * @returns {Promise<string|null>} - Valid access token or null if authentication needed
+   * Only a rejected refresh token signs the account out; while the provider is
+   * unreachable the tokens are kept and the account is reported offline.
+   * @param {string} [accountId] - Account to use, defaults to the active account
+   * @returns {Promise<string|null>} - Valid access token or null if none is available right now
    */
-  async getValidAccessToken() {
+  async getValidAccessToken(accountId = this.activeAccountId) {
+    if (!accountId) {
+      return null;
+    }
+
     try {
-      const tokens = await this.tokenStorage.getTokens();
+      const tokens = await this.tokenStorage.getTokens(accountId);
       
       if (!tokens) {
         return null; // No tokens available, need authentication
       }
 
+      // Tokens bound to another installation's DPoP key can't be used or refreshed here
+      if (!(await this.getOAuthClient(tokens).canUseTokens(tokens))) {
+        console.warn('Stored tokens are bound to a different DPoP key, sign in again');
+        await this._removeAccount(accountId);
+        return null;
+      }
+
       // Check if access token is still valid
-      if (!this.oauthPKCE.isTokenExpired(tokens)) {
+      if (!this.getOAuthClient(tokens).isTokenExpired(tokens, this.expiryMargin)) {
         return tokens.access_token;
       }
 
       // Token is expired, try to refresh
       if (tokens.refresh_token) {
-        const refreshedTokens = await this.refreshTokens(tokens.refresh_token);
+        // Don't stall every status check on a provider that just failed to answer
+        const offline = this.offlineAccounts.get(accountId);
+        if (offline && Date.now() - offline.lastAttempt < this.offlineRetryInterval) {
+          return null;
+        }
+
+        const refreshedTokens = await this.refreshTokens(tokens.refresh_token, accountId);
         return refreshedTokens.access_token;
       }
 
       // No refresh token available, need re-authentication
-      await this.tokenStorage.deleteTokens();
+      await this._removeAccount(accountId);
       return null;
     } catch (error) {
+      // refreshTokens already signed the account out if the grant was rejected
       console.error('Error getting valid access token:', error.message);
-      // If there's an error, delete potentially corrupted tokens
-      await this.tokenStorage.deleteTokens();
       return null;
     }
   }
 
+  /**
+   * Whether an account's last refresh failed because the provider was unreachable
+   * The account stays signed in with its cached identity until a refresh succeeds.
+   * @param {string} [accountId] - Account to check, defaults to the active account
+   * @returns {Object|null} - { since, lastAttempt, error } or null when online
+   */
+  getOfflineState(accountId = this.activeAccountId) {
+    return this.offlineAccounts.get(accountId) || null;
+  }
+
+  /**
+   * Result of an account's latest refresh in this session
+   * @param {string} [accountId] - Account to check, defaults to the active account
+   * @returns {Object|null} - { at, success, attempts, transient, error, errorCode } or null if none yet
+   */
+  getLastRefresh(accountId = this.activeAccountId) {
+    return this.lastRefreshes.get(accountId) || null;
+  }
+
   /**
    * Refresh access token using refresh token
    * @param {string} refreshToken - The refresh token
+   * @param {string} [accountId] - Account the refresh token belongs to
+   * @param {Object} options - { clearOnFailure } - false keeps the tokens even when the grant is rejected
    * @returns {Promise<Object>} - New token data
+   * @throws {OAuthError} - When the refresh failed, after retrying transient failures
    */
-  async refreshTokens(refreshToken) {
-    // Prevent concurrent refresh attempts
-    if (this.refreshPromise) {
-      return await this.refreshPromise;
+  async refreshTokens(refreshToken, accountId = this.activeAccountId, { clearOnFailure = true } = {}) {
+    // Prevent concurrent refresh attempts for the same account
+    if (this.refreshPromises.has(accountId)) {
+      return await this.refreshPromises.get(accountId);
     }
 
-    this.refreshPromise = this._performTokenRefresh(refreshToken);
+    this.onRefreshStart(accountId);
+    const refreshPromise = this._refreshWithRetry(refreshToken, accountId, clearOnFailure);
+    this.refreshPromises.set(accountId, refreshPromise);
     
     try {
-      const result = await this.refreshPromise;
+      const result = await refreshPromise;
       return result;
     } finally {
-      this.refreshPromise = null;
+      this.refreshPromises.delete(accountId);
+    }
+  }
+
+  /**
+   * Wait for an account's in-flight refresh, if any
+   * Failures are left to whoever started the refresh
+   * @param {string} [accountId] - Account to wait for, defaults to the active account
+   * @returns {Promise<void>}
+   */
+  async waitForRefresh(accountId = this.activeAccountId) {
+    const refreshPromise = this.refreshPromises.get(accountId);
+    if (refreshPromise) {
+      await refreshPromise.catch(() => {});
+    }
+  }
+
+  /**
+   * Refresh, retrying network and server failures with backoff
+   * A rejected grant signs the account out (if clearOnFailure); a provider that stays
+   * unreachable marks the account offline and keeps its tokens.
+   * @private
+   */
+  async _refreshWithRetry(refreshToken, accountId, clearOnFailure) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const tokenData = await this._performTokenRefresh(refreshToken, accountId);
+        this.offlineAccounts.delete(accountId);
+        this._recordRefresh(accountId, {
+          at: Date.now(),
+          success: true,
+          attempts: attempt + 1,
+          transient: false,
+          error: null,
+          errorCode: null
+        });
+        return tokenData;
+      } catch (error) {
+        const transient = OAuthError.isTransient(error);
+
+        if (transient && attempt < this.refreshRetryDelays.length) {
+          const delay = this.refreshRetryDelays[attempt];
+          console.warn(`Token refresh failed (${error.message}), retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        console.error('Token refresh failed:', error.message);
+        this._recordRefresh(accountId, {
+          at: Date.now(),
+          success: false,
+          attempts: attempt + 1,
+          transient,
+          error: error.message,
+          errorCode: error.errorCode || null
+        });
+        if (transient) {
+          const offline = this.offlineAccounts.get(accountId);
+          this.offlineAccounts.set(accountId, {
+            since: offline ? offline.since : Date.now(),
+            lastAttempt: Date.now(),
+            error: error.message
+          });
+        } else if (OAuthError.isInvalidGrant(error) && clearOnFailure) {
+          // The refresh token is expired or revoked - sign in again
+          await this._removeAccount(accountId);
+        }
+        throw error;
+      }
     }
   }
 
+  /**
+   * @private
+   */
+  _recordRefresh(accountId, result) {
+    this.lastRefreshes.set(accountId, result);
+    this.onRefresh(accountId, result);
+  }
+
   /**
    * Internal method to perform token refresh
    * @private
    */
-  async _performTokenRefresh(refreshToken) {
+  async _performTokenRefresh(refreshToken, accountId) {
+    const release = this.refreshLock ? await this.refreshLock.acquire(accountId) : null;
+
     try {
+      const currentTokens = await this.tokenStorage.getTokens(accountId);
+      if (!currentTokens) {
+        // Signed out (possibly by another instance) - don't bring the account back
+        throw new Error('Account is no longer signed in');
+      }
+
+      // Another instance may have refreshed while we waited for the lock;
+      // its rotated tokens are already stored, so don't redeem the old refresh token
+      if (currentTokens.refresh_token && currentTokens.refresh_token !== refreshToken) {
+        console.log('Using tokens refreshed by another instance');
+        this.onTokensChanged(accountId);
+        return currentTokens;
+      }
+
       console.log('Refreshing access token...');
-      const newTokens = await this.oauthPKCE.refreshAccessToken(refreshToken);
+      const oauthClient = this.getOAuthClient(currentTokens);
+      const newTokens = await oauthClient.refreshAccessToken(refreshToken);
       
       // Add issued_at timestamp
-      const tokenData = this.oauthPKCE.addIssuedAt(newTokens);
+      const tokenData = oauthClient.addIssuedAt(newTokens);
       
       // Preserve refresh token if not included in response
       if (!tokenData.refresh_token) {
         tokenData.refresh_token = refreshToken;
       }
 
-      await this.tokenStorage.storeTokens(tokenData);
+      // Keep refreshing against the same provider profile
+      if (currentTokens.provider) {
+        tokenData.provider = currentTokens.provider;
+      }
+      TokenManager._withGrantedScopes(tokenData, TokenManager.getGrantedScopes(currentTokens));
+
+      // A refreshed ID token must be valid and belong to the same user (OIDC Core 12.2)
+      const previousClaims = currentTokens.id_token_claims;
+      if (tokenData.id_token) {
+        tokenData.id_token_claims = await oauthClient.validateIdToken(tokenData.id_token, {
+          expectedSubject: previousClaims ? previousClaims.sub : null
+        });
+      } else if (currentTokens.id_token) {
+        tokenData.id_token = currentTokens.id_token;
+        tokenData.id_token_claims = previousClaims;
+      }
+
+      await this.tokenStorage.storeTokens(tokenData, accountId);
       console.log('Access token refreshed successfully');
+      this.onTokensChanged(accountId);
       
       return tokenData;
-    } catch (error) {
-      console.error('Token refresh failed:', error.message);
-      // If refresh fails, delete tokens to force re-authentication
-      await this.tokenStorage.deleteTokens();
-      throw error;
+    } finally {
+      if (release) {
+        release();
+      }
     }
   }
 
   /**
    * Store new tokens (e.g., after initial authentication)
+   * Signing in to an account that is already stored replaces its tokens
    * @param {Object} tokens - Token data from OAuth provider
-   * @returns {Promise<void>}
+   * @param {string} [providerName] - Provider profile the tokens came from
+   * @param {string[]} [requestedScopes] - Scopes requested at login, if the response omits them
+   * @returns {Promise<string>} - Account ID the tokens were stored under
    */
-  async storeTokens(tokens) {
-    const tokenData = this.oauthPKCE.addIssuedAt(tokens);
-    await this.tokenStorage.storeTokens(tokenData);
+  async storeTokens(tokens, providerName = null, requestedScopes = null) {
+    const tokenData = TokenManager._withGrantedScopes(this.oauthPKCE.addIssuedAt(tokens), requestedScopes);
+    if (providerName) {
+      tokenData.provider = providerName;
+    }
+    const accountId = TokenManager.getAccountId(tokenData);
+    await this.tokenStorage.storeTokens(tokenData, accountId);
+    this.offlineAccounts.delete(accountId);
+    await this._registerAccount(accountId, tokenData);
+    this.onTokensChanged(accountId);
+    return accountId;
+  }
+
+  /**
+   * Replace the tokens of an existing account, e.g. after step-up authentication
+   * Keeps the account's provider profile and its place in the account index
+   * @param {string} accountId - Account to update
+   * @param {Object} tokens - Token data from OAuth provider
+   * @returns {Promise<Object>} - Stored token data
+   */
+  async replaceTokens(accountId, tokens) {
+    const currentTokens = await this.tokenStorage.getTokens(accountId);
+    const tokenData = this.getOAuthClient(currentTokens).addIssuedAt(tokens);
+
+    if (currentTokens) {
+      tokenData.provider = currentTokens.provider;
+      tokenData.refresh_token = tokenData.refresh_token || currentTokens.refresh_token;
+      TokenManager._withGrantedScopes(tokenData, TokenManager.getGrantedScopes(currentTokens));
+    }
+
+    await this.tokenStorage.storeTokens(tokenData, accountId);
+    this.offlineAccounts.delete(accountId);
+    this.onTokensChanged(accountId);
+    return tokenData;
+  }
+
+  /**
+   * Get the stored token set without refreshing it
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object|null>} - Token data or null if none
+   */
+  async getTokens(accountId = this.activeAccountId) {
+    if (!accountId) {
+      return null;
+    }
+    return this.tokenStorage.getTokens(accountId);
+  }
+
+  /**
+   * Get when an account's access token expires
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<number|null>} - Milliseconds since epoch, or null if unknown
+   */
+  async getTokenExpiry(accountId = this.activeAccountId) {
+    const tokens = await this.getTokens(accountId);
+    return this.getOAuthClient(tokens).getExpiresAt(tokens);
+  }
+
+  /**
+   * Get the validated claims of the stored ID token
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object|null>} - ID token claims or null if none
+   */
+  async getIdTokenClaims(accountId = this.activeAccountId) {
+    const tokens = await this.getTokens(accountId);
+    return (tokens && tokens.id_token_claims) || null;
   }
 
   /**
    * Check if user is authenticated (has valid tokens)
+   * An offline account counts as signed in: its tokens are kept until the provider answers
+   * @param {string} [accountId] - Account to check, defaults to the active account
    * @returns {Promise<boolean>} - True if authenticated
    */
-  async isAuthenticated() {
-    const accessToken = await this.getValidAccessToken();
-    return accessToken !== null;
+  async isAuthenticated(accountId = this.activeAccountId) {
+    const accessToken = await this.getValidAccessToken(accountId);
+    return accessToken !== null || this.offlineAccounts.has(accountId);
+  }
+
+  /**
+   * Store a token set obtained through incremental consent for additional scopes
+   * The account's sign-in tokens stay as they are; grants are kept next to them
+   * @param {string} accountId - Account the tokens belong to
+   * @param {Object} tokens - Token data from OAuth provider
+   * @param {string[]} requestedScopes - Scopes that were requested
+   * @returns {Promise<Object>} - Stored token data
+   */
+  async storeGrant(accountId, tokens, requestedScopes) {
+    const accountTokens = await this.tokenStorage.getTokens(accountId);
+    if (!accountTokens) {
+      throw new Error('Account is no longer signed in');
+    }
+
+    const tokenData = TokenManager._withGrantedScopes(this.getOAuthClient(accountTokens).addIssuedAt(tokens), requestedScopes);
+    tokenData.provider = accountTokens.provider;
+
+    const scopes = [...tokenData.granted_scopes].sort();
+    const key = `${accountId}#${crypto.createHash('sha256').update(scopes.join(' ')).digest('hex').slice(0, 16)}`;
+    await this.tokenStorage.storeTokens(tokenData, key);
+
+    await this._updateAccountIndex(index => {
+      const account = index.accounts.find(entry => entry.id === accountId);
+      if (!account) return false;
+      account.grants = [...(account.grants || []).filter(grant => grant.key !== key), { key, scopes }];
+    });
+
+    return tokenData;
+  }
+
+  /**
+   * List an account's additional grants
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object[]>} - [{ key, scopes }]
+   */
+  async getGrants(accountId = this.activeAccountId) {
+    const index = await this.tokenStorage.getAccountIndex();
+    const account = index.accounts.find(entry => entry.id === accountId);
+    return account && account.grants ? account.grants : [];
+  }
+
+  /**
+   * Get the token sets of an account's additional grants
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object[]>} - [{ key, tokens }]
+   */
+  async getGrantTokens(accountId = this.activeAccountId) {
+    const grantTokens = [];
+    for (const grant of await this.getGrants(accountId)) {
+      const tokens = await this.tokenStorage.getTokens(grant.key);
+      if (tokens) {
+        grantTokens.push({ key: grant.key, tokens });
+      }
+    }
+    return grantTokens;
+  }
+
+  /**
+   * Find the least-privileged stored token set that covers the requested scopes
+   * @param {string[]} scopes - Required scopes
+   * @param {string} [accountId] - Account to search, defaults to the active account
+   * @returns {Promise<Object|null>} - { key, tokens } or null if no token set covers them
+   */
+  async getTokensForScopes(scopes, accountId = this.activeAccountId) {
+    const accountTokens = await this.getTokens(accountId);
+    if (!accountTokens) {
+      return null;
+    }
+
+    const candidates = [{ key: accountId, tokens: accountTokens }, ...(await this.getGrantTokens(accountId))];
+
+    let best = null;
+    for (const candidate of candidates) {
+      const granted = TokenManager.getGrantedScopes(candidate.tokens);
+      const covers = scopes.length === 0 || (granted && scopes.every(scope => granted.includes(scope)));
+      if (!covers) continue;
+
+      const size = granted ? granted.length : Infinity;
+      if (!best || size < best.size) {
+        best = { ...candidate, size };
+      }
+    }
+
+    return best ? { key: best.key, tokens: best.tokens } : null;
+  }
+
+  /**
+   * Get a valid access token that carries the requested scopes
+   * @param {string[]} scopes - Required scopes; empty means the sign-in token
+   * @param {string} [accountId] - Account to use, defaults to the active account
+   * @returns {Promise<string|null>} - Access token or null if no grant covers the scopes
+   */
+  async getValidAccessTokenForScopes(scopes, accountId = this.activeAccountId) {
+    const match = await this.getTokensForScopes(scopes, accountId);
+    if (!match) {
+      return null;
+    }
+
+    // The sign-in token follows the normal refresh and logout rules
+    if (match.key === accountId) {
+      return this.getValidAccessToken(accountId);
+    }
+
+    const { key, tokens } = match;
+    if (!this.getOAuthClient(tokens).isTokenExpired(tokens, this.expiryMargin)) {
+      return tokens.access_token;
+    }
+
+    try {
+      if (tokens.refresh_token) {
+        const refreshedTokens = await this.refreshTokens(tokens.refresh_token, key, { clearOnFailure: false });
+        return refreshedTokens.access_token;
+      }
+    } catch (error) {
+      console.error('Failed to refresh additional grant:', error.message);
+      if (!OAuthError.isInvalidGrant(error)) {
+        return null; // keep the grant and try again later
+      }
+    }
+
+    // A grant that can't be renewed is dropped; consent has to be asked for again
+    await this._removeGrant(accountId, key);
+    return null;
+  }
+
+  /**
+   * Get an account's cached profile
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object|null>} - { sub, name, email, emailVerified, picture, updatedAt } or null
+   */
+  async getProfile(accountId = this.activeAccountId) {
+    const index = await this.tokenStorage.getAccountIndex();
+    const account = index.accounts.find(entry => entry.id === accountId);
+    return account && account.profile ? account.profile : null;
+  }
+
+  /**
+   * Cache an account's profile; its name and email also label the account
+   * @param {string} accountId - Account to update
+   * @param {Object} profile - Profile from AuthenticationManager.loadProfile
+   * @returns {Promise<void>}
+   */
+  async saveProfile(accountId, profile) {
+    await this._updateAccountIndex(index => {
+      const account = index.accounts.find(entry => entry.id === accountId);
+      if (!account) return false;
+
+      account.profile = profile;
+      account.name = profile.name || account.name;
+      account.email = profile.email || account.email;
+    });
+  }
+
+  /**
+   * Get whether an account's session is locked
+   * @param {string} [accountId] - Account to read, defaults to the active account
+   * @returns {Promise<Object|null>} - { since, reason } or null if not locked
+   */
+  async getSessionLock(accountId = this.activeAccountId) {
+    const index = await this.tokenStorage.getAccountIndex();
+    const account = index.accounts.find(entry => entry.id === accountId);
+    return account && account.sessionLock ? account.sessionLock : null;
   }
 
   /**
-   * Clear all stored tokens (logout)
+   * Lock or unlock an account's session
+   * The lock is kept in the account index, so it survives restarts and holds in every instance
+   * @param {string} accountId - Account to update
+   * @param {Object|null} sessionLock - { since, reason }, or null to unlock
    * @returns {Promise<void>}
    */
-  async clearTokens() {
-    await this.tokenStorage.deleteTokens();
+  async setSessionLock(accountId, sessionLock) {
+    await this._updateAccountIndex(index => {
+      const account = index.accounts.find(entry => entry.id === accountId);
+      if (!account) return false;
+      account.sessionLock = sessionLock;
+    });
+  }
+
+  /**
+   * Clear the stored tokens of one account (logout)
+   * @param {string} [accountId] - Account to sign out, defaults to the active account
+   * @returns {Promise<void>}
+   */
+  async clearTokens(accountId = this.activeAccountId) {
+    if (!accountId) {
+      return;
+    }
+    await this._removeAccount(accountId);
     console.log('User logged out - tokens cleared');
   }
 
   /**
    * Force token refresh (for actions requiring fresh authentication)
+   * @param {string} [accountId] - Account to refresh, defaults to the active account
    * @returns {Promise<boolean>} - True if refresh successful, false if re-auth needed
    */
-  async forceTokenRefresh() {
+  async forceTokenRefresh(accountId = this.activeAccountId) {
     try {
-      const tokens = await this.tokenStorage.getTokens();
+      const tokens = await this.getTokens(accountId);
       
       if (!tokens || !tokens.refresh_token) {
         return false; // Need re-authentication
       }
 
-      await this.refreshTokens(tokens.refresh_token);
+      await this.refreshTokens(tokens.refresh_token, accountId);
       return true;
     } catch (error) {
       console.error('Forced token refresh failed:', error.message);
       return false; // Need re-authentication
     }
   }
+
+  /**
+   * Add or update an account in the index and make it active
+   * @private
+   */
+  async _registerAccount(accountId, tokens) {
+    const claims = tokens.id_token_claims || {};
+    await this._updateAccountIndex(index => {
+      const existing = index.accounts.find(account => account.id === accountId);
+
+      const account = {
+        id: accountId,
+        sub: claims.sub || null,
+        iss: claims.iss || null,
+        name: claims.name || null,
+        email: claims.email || null,
+        provider: tokens.provider || null,
+        addedAt: existing ? existing.addedAt : Date.now(),
+        grants: existing && existing.grants ? existing.grants : [],
+        profile: existing && existing.profile ? existing.profile : null,
+        // Signing in again does not end a lock; only unlocking (a step-up) does
+        sessionLock: existing && existing.sessionLock ? existing.sessionLock : null
+      };
+
+      index.accounts = existing
+        ? index.accounts.map(entry => (entry.id === accountId ? account : entry))
+        : [...index.accounts, account];
+      index.activeAccountId = accountId;
+    });
+    this.activeAccountId = accountId;
+  }
+
+  /**
+   * Delete an account's tokens and drop it from the index
+   * @private
+   */
+  async _removeAccount(accountId) {
+    await this.tokenStorage.deleteTokens(accountId);
+    this.offlineAccounts.delete(accountId);
+    this.lastRefreshes.delete(accountId);
+
+    let removed = null;
+    const index = await this._updateAccountIndex(current => {
+      removed = current.accounts.find(account => account.id === accountId);
+      current.accounts = current.accounts.filter(account => account.id !== accountId);
+      if (current.activeAccountId === accountId) {
+        current.activeAccountId = current.accounts[0] ? current.accounts[0].id : null;
+      }
+    });
+    for (const grant of (removed && removed.grants) || []) {
+      await this.tokenStorage.deleteTokens(grant.key);
+    }
+
+    if (this.activeAccountId === accountId) {
+      this.activeAccountId = index.activeAccountId;
+    }
+
+    this.onAccountRemoved(accountId);
+  }
+
+  /**
+   * Delete one additional grant of an account
+   * @private
+   */
+  async _removeGrant(accountId, key) {
+    await this.tokenStorage.deleteTokens(key);
+
+    await this._updateAccountIndex(index => {
+      const account = index.accounts.find(entry => entry.id === accountId);
+      if (!account || !account.grants) return false;
+      account.grants = account.grants.filter(grant => grant.key !== key);
+    });
+  }
+
+  /**
+   * Read, change and write the account index
+   * Logins, grants, profiles and sign-outs all rewrite the index, so updates run one
+   * at a time here and, with a refresh lock, one at a time across instances.
+   * An index that can't be read is never overwritten.
+   * @private
+   * @param {Function} update - Changes the index in place; returning false skips the write
+   * @returns {Promise<Object>} - The index after the update
+   */
+  _updateAccountIndex(update) {
+    const run = this.indexQueue.then(async () => {
+      const release = this.refreshLock ? await this.refreshLock.acquire(ACCOUNT_INDEX_NAME) : null;
+
+      try {
+        const index = await this.tokenStorage.getAccountIndex({ strict: true });
+        if (update(index) === false) {
+          return index;
+        }
+
+        if (index.accounts.length) {
+          await this.tokenStorage.saveAccountIndex(index);
+        } else {
+          await this.tokenStorage.deleteTokens(ACCOUNT_INDEX_NAME);
+        }
+        return index;
+      } finally {
+        if (release) {
+          release();
+        }
+      }
+    });
+
+    this.indexQueue = run.catch(() => {});
+    return run;
+  }
 }
 
 module.exports = {
   TokenStorage,
   TokenManager
-};
\ No newline at end of file
+};
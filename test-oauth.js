@@ -1,7 +1,266 @@
 // Simple test to verify OAuth PKCE implementation
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
 const OAuthPKCE = require('./src/oauth-pkce');
+const PendingAuthorizations = require('./src/pending-authorizations');
+const OIDCDiscovery = require('./src/oidc-discovery');
+const AuthStateMachine = require('./src/auth-state-machine');
+const OAuthError = require('./src/oauth-error');
+const DPoP = require('./src/dpop');
+const ProtectedFile = require('./src/protected-file');
+const AuditLog = require('./src/audit-log');
+const { signJwt } = require('./src/client-authentication');
+const { IdTokenValidator } = require('./src/id-token-validator');
 const { TokenManager } = require('./src/token-manager');
 
+/**
+ * In-memory stand-in for Electron safeStorage (OS-backed)
+ */
+const fakeSafeStorage = {
+  isEncryptionAvailable: () => true,
+  getSelectedStorageBackend: () => 'gnome_libsecret',
+  encryptString: (text) => Buffer.from(`enc:${text}`),
+  decryptString: (data) => {
+    const text = data.toString();
+    if (!text.startsWith('enc:')) throw new Error('Error while decrypting the ciphertext provided');
+    return text.slice(4);
+  }
+};
+
+/**
+ * Decode the header and payload of a compact JWS
+ */
+function decodeJwt(jwt) {
+  const [header, payload] = jwt.split('.').slice(0, 2).map(part => JSON.parse(Buffer.from(part, 'base64url').toString()));
+  return { header, payload };
+}
+
+/**
+ * Start a local stand-in issuer that serves a discovery document
+ * @returns {Promise<{server: http.Server, issuer: string}>}
+ */
+function startStandInIssuer() {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const issuer = `http://127.0.0.1:${server.address().port}`;
+      if (req.url !== '/.well-known/openid-configuration') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        revocation_endpoint: `${issuer}/revoke`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['none', 'client_secret_basic']
+      }));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, issuer: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Start a local stand-in JWKS endpoint that serves jwks.keys as it is at request time
+ * @param {Object} jwks - { keys }, may be changed between requests
+ * @returns {Promise<{server: http.Server, jwksUri: string, requests: Function}>}
+ */
+function startStandInJwks(jwks) {
+  let requests = 0;
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      requests++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(jwks));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, jwksUri: `http://127.0.0.1:${server.address().port}/jwks`, requests: () => requests });
+    });
+  });
+}
+
+async function testDPoP(directory) {
+  console.log('\n8. Testing DPoP keys and proofs:');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  const expected = crypto.createHash('sha256').update(JSON.stringify({ crv, kty, x, y })).digest('base64url');
+  console.log('✓ Thumbprint over the required members in order:', DPoP.thumbprint({ y, x, kty, crv, kid: 'ignored' }) === expected);
+
+  const jwt = signJwt({ typ: 'dpop+jwt', alg: 'ES256' }, { htm: 'GET' }, privateKey);
+  const [header, payload, signature] = jwt.split('.');
+  console.log('✓ ES256 JWS verifies:', crypto.verify('sha256', Buffer.from(`${header}.${payload}`), { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url')));
+  let rejected = false;
+  try {
+    signJwt({ alg: 'none' }, {}, privateKey);
+  } catch (error) {
+    rejected = true;
+  }
+  console.log('✓ Unsupported algorithm rejected:', rejected);
+
+  const keyFile = path.join(directory, 'dpop-key.bin');
+  const dpop = new DPoP(new ProtectedFile({ file: keyFile, safeStorage: fakeSafeStorage }));
+  const proof = decodeJwt(await dpop.createProof('post', 'https://api.example.com/items?page=2#top', 'access-token'));
+  console.log('✓ Proof carries the public key:', DPoP.thumbprint(proof.header.jwk) === await dpop.getThumbprint());
+  console.log('✓ Proof covers method and URL without query:', proof.payload.htm === 'POST' && proof.payload.htu === 'https://api.example.com/items');
+  console.log('✓ Proof bound to the access token:', proof.payload.ath === crypto.createHash('sha256').update('access-token').digest('base64url'));
+  const sameKey = new DPoP(new ProtectedFile({ file: keyFile, safeStorage: fakeSafeStorage }));
+  console.log('✓ Key kept across restarts:', await sameKey.getThumbprint() === await dpop.getThumbprint());
+
+  fs.writeFileSync(keyFile, 'unreadable');
+  let failed = false;
+  try {
+    await new DPoP(new ProtectedFile({ file: keyFile, safeStorage: fakeSafeStorage })).getKey();
+  } catch (error) {
+    failed = true;
+  }
+  console.log('✓ Unreadable key reported, not replaced:', failed && fs.readFileSync(keyFile, 'utf8') === 'unreadable');
+}
+
+async function testAuditLog(directory) {
+  console.log('\n9. Testing audit log verification:');
+  const keyFile = new ProtectedFile({ file: path.join(directory, 'audit-key.bin'), safeStorage: fakeSafeStorage });
+  const headFile = path.join(directory, 'audit-head.json');
+  const createLog = () => new AuditLog({ directory: path.join(directory, 'audit'), maxBytes: 1024, maxFiles: 2, keyFile, headFile });
+  const log = createLog();
+  const currentFile = log.file;
+  const rotatedFile = log.getRotatedFile(1);
+
+  for (let index = 0; index < 10; index++) {
+    await log.record('token-refreshed', { accountId: `account-${index}`, access_token: 'never-written' });
+  }
+  const result = await log.verify();
+  console.log('✓ Intact log verifies:', result.valid && result.entries > 0);
+  console.log('✓ Rotated files kept:', fs.existsSync(rotatedFile));
+  console.log('✓ Token values not written:', !fs.readFileSync(currentFile, 'utf8').includes('never-written'));
+
+  // Each check tampers with a fresh copy of the files
+  const originals = new Map(log.listFiles().map(file => [file, fs.readFileSync(file)]));
+  const tampered = async (change) => {
+    for (const [file, contents] of originals) fs.writeFileSync(file, contents);
+    change();
+    return !(await createLog().verify()).valid;
+  };
+  const lines = originals.get(currentFile).toString().split('\n').filter(Boolean);
+
+  console.log('✓ Edited entry detected:', await tampered(() => {
+    fs.writeFileSync(currentFile, originals.get(currentFile).toString().replace('account-9', 'account-x'));
+  }));
+  console.log('✓ Deleted last line detected:', await tampered(() => {
+    fs.writeFileSync(currentFile, lines.slice(0, -1).map(line => `${line}\n`).join(''));
+  }));
+  console.log('✓ Deleted rotated file detected:', await tampered(() => fs.rmSync(rotatedFile)));
+  console.log('✓ Chain rewritten without the key detected:', await tampered(() => {
+    fs.writeFileSync(currentFile, lines.map(line => `${JSON.stringify(AuditLog.seal(JSON.parse(line)))}\n`).join(''));
+  }));
+
+  // Without a keyring events are still written, unkeyed, and the status says so
+  const unkeyedLog = new AuditLog({
+    directory: path.join(directory, 'audit-unkeyed'),
+    keyFile: new ProtectedFile({ file: path.join(directory, 'audit-unkeyed-key.bin'), safeStorage: null }),
+    headFile: path.join(directory, 'audit-unkeyed-head.json')
+  });
+  const written = await unkeyedLog.record('login-started', { accountId: 'account-1' });
+  await unkeyedLog.record('login-succeeded', { accountId: 'account-1' });
+  const unkeyedResult = await unkeyedLog.verify();
+  console.log('✓ Entries written without a keyring:', written.unkeyed === true && unkeyedResult.valid && unkeyedResult.unkeyed === 2);
+  console.log('✓ Degraded state reported:', unkeyedLog.getStatus().keyed === false && Boolean(unkeyedLog.getStatus().error));
+}
+
+async function testDiscovery() {
+  console.log('\n10. Testing OIDC discovery against a local stand-in issuer:');
+  const { server, issuer } = await startStandInIssuer();
+
+  try {
+    const discovery = new OIDCDiscovery();
+    const metadata = await discovery.discover(issuer);
+    const client = new OAuthPKCE('test-client-id', 'https://fallback/auth', 'https://fallback/token');
+    client.applyMetadata(metadata);
+    console.log('✓ Endpoints discovered:', client.authUrl === `${issuer}/authorize` && client.tokenUrl === `${issuer}/token`);
+    console.log('✓ Revocation/userinfo/JWKS picked up:', Boolean(client.revocationUrl && client.userinfoUrl && client.jwksUri));
+    console.log('✓ Auth methods picked up:', client.tokenEndpointAuthMethods.includes('client_secret_basic'));
+
+    server.closeAllConnections();
+    server.close();
+    const cached = await discovery.discover(issuer);
+    console.log('✓ Metadata served from cache:', cached === metadata);
+
+    let failed = false;
+    try {
+      await new OIDCDiscovery().discover(issuer);
+    } catch (error) {
+      failed = true;
+    }
+    console.log('✓ Unreachable issuer reported as failure:', failed);
+  } finally {
+    server.close();
+  }
+}
+
+async function testIdTokenValidation() {
+  console.log('\n11. Testing ID token validation against a local stand-in JWKS:');
+  const createKey = (kid) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+  };
+  const current = createKey('key-1');
+  const rotated = createKey('key-2');
+  const jwks = { keys: [current.jwk] };
+  const { server, jwksUri, requests } = await startStandInJwks(jwks);
+
+  const issuer = 'https://issuer.example.com';
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iss: issuer, aud: 'test-client-id', sub: 'user-1', nonce: 'nonce-1', iat: now, exp: now + 300 };
+  const sign = (changes = {}, key = current, header = {}) =>
+    signJwt({ alg: 'RS256', kid: key.kid, ...header }, { ...claims, ...changes }, key.privateKey);
+  const rejects = async (validation, message) => {
+    try {
+      await validation;
+      return false;
+    } catch (error) {
+      return error.message.includes(message);
+    }
+  };
+
+  try {
+    const validator = new IdTokenValidator({ issuer, clientId: 'test-client-id', jwksUri, jwksMinRefetchInterval: 0 });
+    const validated = await validator.validate(sign(), { nonce: 'nonce-1' });
+    console.log('✓ Valid token accepted:', validated.sub === 'user-1' && requests() === 1);
+
+    const [header, payload] = sign().split('.');
+    const forged = `${header}.${payload}.${sign({ sub: 'user-2' }).split('.')[2]}`;
+    console.log('✓ Bad signature rejected:', await rejects(validator.validate(forged), 'signature is invalid'));
+    console.log('✓ Nonce mismatch rejected:', await rejects(validator.validate(sign(), { nonce: 'nonce-2' }), 'nonce mismatch'));
+    console.log('✓ Wrong audience rejected:', await rejects(validator.validate(sign({ aud: 'other-client' })), 'audience'));
+    console.log('✓ Wrong authorized party rejected:', await rejects(
+      validator.validate(sign({ aud: ['test-client-id', 'other-client'], azp: 'other-client' })), 'authorized party'));
+    console.log('✓ Expired token rejected:', await rejects(validator.validate(sign({ iat: now - 900, exp: now - 600 })), 'expired'));
+    console.log('✓ Token issued in the future rejected:', await rejects(validator.validate(sign({ iat: now + 600, exp: now + 900 })), 'in the future'));
+
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const symmetric = `${encode({ alg: 'HS256', kid: current.kid })}.${encode(claims)}.${crypto.randomBytes(32).toString('base64url')}`;
+    console.log('✓ Unsupported algorithm rejected:', await rejects(validator.validate(symmetric), 'Unsupported ID token algorithm'));
+    console.log('✓ No JWKS requests for known keys:', requests() === 1);
+
+    // The provider rotates its keys: an unknown kid refetches the JWKS once
+    jwks.keys = [current.jwk, rotated.jwk];
+    const afterRotation = await validator.validate(sign({}, rotated), { nonce: 'nonce-1' });
+    console.log('✓ Rotated key fetched once:', afterRotation.sub === 'user-1' && requests() === 2);
+    const unknown = await rejects(validator.validate(sign({}, createKey('key-3'))), 'No matching signing key');
+    console.log('✓ Unknown key refetched once, then rejected:', unknown && requests() === 3);
+  } finally {
+    server.close();
+  }
+}
+
 console.log('Testing OAuth PKCE Implementation...\n');
 
 // Test PKCE generation
@@ -12,23 +271,31 @@ const oauth = new OAuthPKCE(
 );
 
 console.log('1. Testing PKCE generation:');
-oauth.generatePKCE();
-console.log('✓ Code verifier generated:', oauth.codeVerifier.length, 'characters');
-console.log('✓ Code challenge generated:', oauth.codeChallenge.length, 'characters');
-console.log('✓ State generated:', oauth.state.length, 'characters');
+const request = oauth.createAuthorizationRequest(['openid', 'profile', 'email']);
+console.log('✓ Code verifier generated:', request.codeVerifier.length, 'characters');
+console.log('✓ Code challenge generated:', request.codeChallenge.length, 'characters');
+console.log('✓ State generated:', request.state.length, 'characters');
+const otherRequest = oauth.createAuthorizationRequest(['openid']);
+console.log('✓ Requests are independent:', otherRequest.state !== request.state && otherRequest.codeVerifier !== request.codeVerifier);
 
 console.log('\n2. Testing auth URL generation:');
-const authUrl = oauth.buildAuthUrl(['openid', 'profile', 'email']);
+const authUrl = oauth.buildAuthUrl(request);
 console.log('✓ Auth URL generated:', authUrl.length, 'characters');
-console.log('✓ Contains PKCE challenge:', authUrl.includes('code_challenge'));
-console.log('✓ Contains state:', authUrl.includes('state'));
+console.log('✓ Contains PKCE challenge:', authUrl.includes('code_challenge=' + request.codeChallenge));
+console.log('✓ Contains state:', authUrl.includes('state=' + request.state));
+console.log('✓ Contains nonce:', authUrl.includes('nonce=' + request.nonce));
 
 console.log('\n3. Testing callback parsing:');
-const testCallback = 'myapp://callback?code=test-code&state=' + oauth.state;
+const pending = new PendingAuthorizations();
+pending.add(request);
+pending.add(otherRequest);
+const testCallback = 'myapp://callback?code=test-code&state=' + request.state;
 const parsed = oauth.parseCallback(testCallback);
 console.log('✓ Callback parsed successfully');
 console.log('✓ Code extracted:', parsed.code === 'test-code');
-console.log('✓ State validated:', oauth.validateState(parsed.state));
+console.log('✓ State matched to its request:', pending.consume(parsed.state).codeVerifier === request.codeVerifier);
+console.log('✓ State accepted only once:', pending.consume(parsed.state) === null);
+console.log('✓ Other request still pending:', pending.get(otherRequest.state) !== null);
 
 console.log('\n4. Testing token expiration:');
 const expiredToken = { expires_in: 3600, issued_at: Math.floor(Date.now() / 1000) - 7200 };
@@ -40,9 +307,62 @@ console.log('\n5. Testing TokenManager (without keytar):');
 const tokenManager = new TokenManager(oauth);
 console.log('✓ TokenManager created successfully');
 
-console.log('\n✅ All tests passed! OAuth PKCE implementation is working correctly.');
-console.log('\n📝 Next steps:');
-console.log('1. Configure your OAuth provider settings in .env file');
-console.log('2. Run: npm run dev');
-console.log('3. Test the complete authentication flow');
-console.log('4. Build and install for protocol registration: npm run build');
\ No newline at end of file
+console.log('\n6. Testing auth state transitions:');
+const stateMachine = new AuthStateMachine();
+const transitions = [];
+stateMachine.on('transition', entry => transitions.push(entry));
+stateMachine.transition('authenticating', { reason: 'browser login' });
+stateMachine.transition('authenticated', { accountId: 'account-1', reason: 'login' });
+stateMachine.transition('locked', { accountId: 'account-1', reason: 'idle' });
+let refused = false;
+try {
+  stateMachine.transition('authenticated', { accountId: 'account-1' });
+} catch (error) {
+  refused = true;
+}
+console.log('✓ Lock only ends with re-authentication:', refused && !stateMachine.can('refreshing') && stateMachine.can('stepping-up'));
+console.log('✓ Same state is a no-op:', stateMachine.transition('locked') === false);
+console.log('✓ tryTransition stays put when refused:', !stateMachine.tryTransition('offline') && stateMachine.is('locked'));
+const history = stateMachine.getHistory();
+console.log('✓ History records every transition:', history.map(entry => entry.to).join(',') === 'authenticating,authenticated,locked');
+console.log('✓ History keeps account and reason:', history[2].from === 'authenticated' && history[2].accountId === 'account-1' && history[2].reason === 'idle');
+console.log('✓ Transitions emitted:', transitions.length === 3);
+const boundedMachine = new AuthStateMachine({ maxHistory: 2 });
+['authenticating', 'authenticated', 'refreshing', 'authenticated'].forEach(state => boundedMachine.transition(state));
+console.log('✓ History bounded:', boundedMachine.getHistory().length === 2);
+
+console.log('\n7. Testing OAuth error classification:');
+(async () => {
+  const invalidGrant = await OAuthError.fromResponse(
+    new Response(JSON.stringify({ error: 'invalid_grant' }), { status: 400 }), 'Token refresh failed');
+  const unavailable = await OAuthError.fromResponse(new Response('<html>Bad Gateway</html>', { status: 502 }), 'Token refresh failed');
+  const busy = await OAuthError.fromResponse(
+    new Response(JSON.stringify({ error: 'temporarily_unavailable' }), { status: 400 }), 'Token refresh failed');
+  console.log('✓ invalid_grant is a rejected grant:', OAuthError.isInvalidGrant(invalidGrant) && !OAuthError.isTransient(invalidGrant));
+  console.log('✓ 5xx and temporarily_unavailable are transient:', OAuthError.isTransient(unavailable) && OAuthError.isTransient(busy));
+  console.log('✓ Wrapping keeps the classification:', OAuthError.isInvalidGrant(OAuthError.wrap(invalidGrant, 'Refresh error')));
+
+  const networkError = new TypeError('fetch failed');
+  const timeout = new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+  console.log('✓ Network failures and timeouts are transient:', OAuthError.isTransient(networkError) && OAuthError.isTransient(OAuthError.wrap(timeout, 'Refresh error')));
+  console.log('✓ Wrapped causes are classified:', OAuthError.isTransient(new Error('JWKS fetch failed', { cause: networkError })));
+  console.log('✓ Other errors are neither:', !OAuthError.isTransient(new Error('Response has no access_token')) && !OAuthError.isInvalidGrant(new Error('invalid_grant')));
+})().then(async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-test-'));
+  try {
+    await testDPoP(directory);
+    await testAuditLog(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}).then(testDiscovery).then(testIdTokenValidation).then(() => {
+  console.log('\n✅ All tests passed! OAuth PKCE implementation is working correctly.');
+  console.log('\n📝 Next steps:');
+  console.log('1. Configure your OAuth provider settings in .env file');
+  console.log('2. Run: npm run dev');
+  console.log('3. Test the complete authentication flow');
+  console.log('4. Build and install for protocol registration: npm run build');
+}).catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  process.exit(1);
+});